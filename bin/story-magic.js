@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// bin/story-magic.js
+import 'dotenv/config';
+import fs from 'fs';
+import { parseArgs } from 'util';
+import pLimit from 'p-limit';
+import { DirectorJSON } from '../lib/zod-schemas.js';
+import { CATALOG_TYPES, loadCatalog, parseTrackTags } from '../lib/catalog-loader.js';
+import { listCatalogTracks, refreshCatalogIndex } from '../lib/catalog-index.js';
+import { probeAudio } from '../lib/audio.js';
+import { orchestrate, orchestrateScene, FAILURE_POLICIES } from '../workers/orchestrator.js';
+import { planEpisode } from '../workers/plan.js';
+import { TTS_PROVIDERS } from '../lib/tts-providers.js';
+
+/**
+ * story-magic - render Director JSON locally, without the HTTP server
+ *
+ * Exit codes: 0 success, 1 render / validation / check failure, 2 usage error
+ */
+
+const USAGE = `Usage: story-magic <command> [options]
+
+Commands:
+  render <director.json>             Render the episode
+  scene <director.json> <scene_id>   Render one scene to scene-<scene_id>.m4a (no episode export)
+  validate <director.json>           Check the JSON, catalog tracks and TTS cache without rendering
+  catalog list                       List catalog tracks (--type, --tag)
+  catalog check                      Probe every catalog track and check its file name
+
+Render options:
+  --out <dir>              Output directory (default: output/<project_id>)
+  --resume                 Continue from the checkpoint of an interrupted render
+  --failure-policy <name>  ${FAILURE_POLICIES.join(' | ')} (overrides the Director JSON)
+  --tts-provider <name>    TTS provider for characters without a voice, mock for every line
+                           (${TTS_PROVIDERS.join(', ')})
+  --lufs <n>               Loudness target for scenes without mix.target_lufs
+  --crossfade <seconds>    Crossfade between scenes (default 1.5)
+  --concurrency <n>        Scenes rendered at once (default SCENE_CONCURRENCY or 2)
+
+Catalog options:
+  --type <type>            ${CATALOG_TYPES.join(' | ')}
+  --tag <a,b>              Only tracks carrying every tag
+`;
+
+const OPTIONS = {
+  out: { type: 'string' },
+  resume: { type: 'boolean' },
+  'failure-policy': { type: 'string' },
+  'tts-provider': { type: 'string' },
+  lufs: { type: 'string' },
+  crossfade: { type: 'string' },
+  concurrency: { type: 'string' },
+  type: { type: 'string' },
+  tag: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+function parseNumber(name, value, { min, max, integer = false } = {}) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (value.trim() === '' || !Number.isFinite(n) || (integer && !Number.isInteger(n)) ||
+      (min !== undefined && n < min) || (max !== undefined && n > max)) {
+    const range = [min !== undefined && `>= ${min}`, max !== undefined && `<= ${max}`].filter(Boolean).join(' and ');
+    throw new UsageError(`--${name} must be ${integer ? 'an integer' : 'a number'}${range ? ` ${range}` : ''}, got "${value}"`);
+  }
+  return n;
+}
+
+function renderOptions(values) {
+  const provider = values['tts-provider'];
+  if (provider !== undefined && !TTS_PROVIDERS.includes(provider)) {
+    throw new UsageError(`--tts-provider must be one of ${TTS_PROVIDERS.join(', ')}, got "${provider}"`);
+  }
+  const policy = values['failure-policy'];
+  if (policy !== undefined && !FAILURE_POLICIES.includes(policy)) {
+    throw new UsageError(`--failure-policy must be one of ${FAILURE_POLICIES.join(', ')}, got "${policy}"`);
+  }
+  return {
+    output_dir: values.out,
+    resume: !!values.resume,
+    failure_policy: policy,
+    tts_provider: provider,
+    target_lufs: parseNumber('lufs', values.lufs, { min: -70, max: 0 }),
+    crossfade: parseNumber('crossfade', values.crossfade, { min: 0 }),
+    concurrency: parseNumber('concurrency', values.concurrency, { min: 1, integer: true })
+  };
+}
+
+function readDirectorFile(file) {
+  if (!file) throw new UsageError('Missing <director.json>');
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new UsageError(`Cannot read ${file}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new UsageError(`${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+function printIssues(issues) {
+  for (const issue of issues) {
+    console.log(`   - ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  }
+}
+
+function printSummary(title, rows) {
+  console.log('');
+  console.log(title);
+  for (const [label, value] of rows) {
+    console.log(`   ${label.padEnd(14)} ${value}`);
+  }
+}
+
+const formatBuild = (build) =>
+  `${build.reused.length ? `reused ${build.reused.join(', ')}` : 'nothing reused'}` +
+  `${build.rebuilt.length ? `; rebuilt ${build.rebuilt.join(', ')}` : ''}`;
+
+function printDegraded(degraded) {
+  for (const d of degraded) {
+    console.log(`   ⚠️  ${d.scene_id}${d.skipped ? ' (skipped)' : ''}:`);
+    for (const issue of d.issues) {
+      console.log(`      - ${issue.stage}/${issue.action}${issue.line_id ? ` ${issue.line_id}` : ''}: ${issue.message}`);
+    }
+  }
+}
+
+const formatLoudness = (loudness) =>
+  loudness ? `${loudness.lufs_i} LUFS, ${loudness.true_peak_db} dBTP` : 'not measured';
+
+async function renderCommand(positionals, values) {
+  const [file] = positionals;
+  const director = readDirectorFile(file);
+  const options = renderOptions(values);
+
+  const result = await orchestrate(director, options);
+  printSummary('✅ Render complete', [
+    ['Project', result.project_id],
+    ['Episode', result.episode_path],
+    ['Manifest', result.manifest_path],
+    ['Duration', `${result.manifest.total.toFixed(2)}s`],
+    ...result.scenes.map(s => [`Scene ${s.scene_id}`, `${formatLoudness(s.loudness)} (${formatBuild(s.build)})`])
+  ]);
+  printDegraded(result.degraded);
+}
+
+async function sceneCommand(positionals, values) {
+  const [file, scene_id] = positionals;
+  const director = readDirectorFile(file);
+  if (!scene_id) throw new UsageError('Missing <scene_id>');
+  const options = renderOptions(values);
+
+  const scene = await orchestrateScene(director, scene_id, options);
+  printSummary('✅ Scene rendered', [
+    ['Scene', scene.scene_id],
+    ['File', scene.path],
+    ['Loudness', formatLoudness(scene.loudness)],
+    ['Build', formatBuild(scene.build)]
+  ]);
+  if (scene.degraded.length) printDegraded([{ scene_id: scene.scene_id, skipped: false, issues: scene.degraded }]);
+}
+
+async function validateCommand(positionals, values) {
+  const [file] = positionals;
+  const director = readDirectorFile(file);
+  const { tts_provider } = renderOptions(values);
+
+  const parsed = DirectorJSON.safeParse(director);
+  if (!parsed.success) {
+    console.log(`❌ ${file} does not match the Director JSON schema:`);
+    printIssues(parsed.error.issues);
+    return 1;
+  }
+
+  const plan = await planEpisode(parsed.data, { tts_provider });
+  printSummary(plan.valid ? `✅ ${file} is valid` : `❌ ${file} references missing catalog tracks`, [
+    ['Project', plan.project_id],
+    ['Scenes', plan.scenes.length],
+    ['New TTS', `${plan.tts.new_lines.length} lines, ${plan.tts.new_characters} characters (~$${plan.tts.estimated_cost})`],
+    ['Cached TTS', `${plan.tts.cached_lines.length} lines`],
+    ['Est. duration', `${plan.estimated_duration}s`]
+  ]);
+  for (const { scene_id, track_id } of plan.missing_tracks) {
+    console.log(`   - ${scene_id}: missing track ${track_id}`);
+  }
+  return plan.valid ? 0 : 1;
+}
+
+// A track is well-formed when its prefix matches its type and it has tags and a variant number
+function namingProblem(type, filename) {
+  const prefix = `${type[0]}_`;
+  if (!filename.toLowerCase().startsWith(prefix)) return `name should start with "${prefix}"`;
+  const { tags, variant } = parseTrackTags(type, filename);
+  if (tags.length === 0) return 'name has no tags';
+  if (variant === null) return 'name should end with a variant number (e.g. _01)';
+  return null;
+}
+
+async function catalogCommand(positionals, values) {
+  const [action] = positionals;
+  const type = values.type;
+  if (type !== undefined && !CATALOG_TYPES.includes(type)) {
+    throw new UsageError(`--type must be one of ${CATALOG_TYPES.join(', ')}, got "${type}"`);
+  }
+
+  if (action === 'list') {
+    const tags = values.tag ? values.tag.split(',').map(t => t.trim()).filter(Boolean) : [];
+    await refreshCatalogIndex();
+    const tracks = listCatalogTracks({ type, tags });
+    console.log('');
+    for (const t of tracks) {
+      const duration = t.duration != null ? `${t.duration.toFixed(1)}s` : '?';
+      const loudness = t.lufs_i != null ? `${t.lufs_i} LUFS` : '? LUFS';
+      console.log(`${t.id.padEnd(60)} ${duration.padStart(8)} ${loudness.padStart(12)}  ${t.tags.join(',')}`);
+    }
+    console.log(`\n${tracks.length} track(s)`);
+    return 0;
+  }
+
+  if (action === 'check') {
+    const catalog = loadCatalog();
+    const limit = pLimit(4);
+    const tracks = Object.entries(catalog)
+      .filter(([t]) => !type || t === type)
+      .flatMap(([t, list]) => list.map(track => ({ ...track, type: t })));
+
+    const problems = (await Promise.all(tracks.map(track => limit(async () => {
+      const found = [];
+      const naming = namingProblem(track.type, track.filename);
+      if (naming) found.push(naming);
+      try {
+        const info = await probeAudio(track.path);
+        if (!(info.duration > 0)) found.push('audio has no duration');
+      } catch (err) {
+        found.push(`unreadable audio (${err.shortMessage || err.message})`);
+      }
+      return found.map(problem => ({ id: track.id, problem }));
+    })))).flat();
+
+    console.log('');
+    for (const { id, problem } of problems) console.log(`   - ${id}: ${problem}`);
+    console.log(problems.length
+      ? `❌ ${problems.length} problem(s) in ${tracks.length} track(s)`
+      : `✅ ${tracks.length} track(s) OK`);
+    return problems.length ? 1 : 0;
+  }
+
+  throw new UsageError(action ? `Unknown catalog action: ${action}` : 'Missing catalog action (list or check)');
+}
+
+const COMMANDS = {
+  render: renderCommand,
+  scene: sceneCommand,
+  validate: validateCommand,
+  catalog: catalogCommand
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    return (await COMMANDS[command](rest, values)) ?? 0;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+    printSummary(`❌ ${command} failed`, [
+      ['Error', err.message],
+      ...(err.scene_id ? [['Scene', `${err.scene_id} (#${err.scene_index + 1})`]] : [])
+    ]);
+    if (process.env.DEBUG) console.error(err.stack);
+    return 1;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -3,6 +3,11 @@ import ffmpegPath from 'ffmpeg-static';
 import ffprobePkg from 'ffprobe-static';
 import { execa } from 'execa';
 import { withRetry, RetryableError } from './retry.js';
+import { getTtsProvider } from './tts-providers.js';
+import { encodeWav, STEM_SAMPLE_RATE, STEM_CHANNELS } from './wav.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('audio');
 
 const ffprobePath = ffprobePkg.path;
 const ffmpeg = ffmpegPath;
@@ -20,7 +25,33 @@ export async function audioDurationSec(filePath) {
   return n;
 }
 
-async function transcodeMp3ToWav(mp3) {
+/**
+ * Probe the first audio stream of a file
+ * @returns {Promise<{duration: number, codec: string, sample_rate: number, channels: number}>}
+ * @throws if the file has no decodable audio stream
+ */
+export async function probeAudio(filePath) {
+  const { stdout } = await execa(ffprobePath, [
+    '-v', 'error',
+    '-select_streams', 'a:0',
+    '-show_entries', 'format=duration:stream=codec_name,sample_rate,channels',
+    '-of', 'json',
+    filePath
+  ]);
+  const info = JSON.parse(stdout);
+  const stream = info.streams?.[0];
+  if (!stream) throw new Error('No audio stream in ' + filePath);
+
+  return {
+    duration: parseFloat(info.format?.duration),
+    codec: stream.codec_name,
+    sample_rate: parseInt(stream.sample_rate, 10),
+    channels: stream.channels
+  };
+}
+
+// Any provider output (mp3, wav, ...) to the stem format
+async function transcodeToWav(audio, signal) {
   const { stdout } = await execa(ffmpeg, [
     '-v', 'error',
     '-i', 'pipe:0',
@@ -29,61 +60,54 @@ async function transcodeMp3ToWav(mp3) {
     '-ac', '2',
     'pipe:1'
   ], { 
-    input: mp3,
-    encoding: 'buffer'
+    input: audio,
+    encoding: 'buffer',
+    signal
   });
   return stdout;
 }
 
-export async function ttsGenerate(opts) {
-  const apiKey = process.env.ELEVENLABS_API_KEY;
-  if (!apiKey) throw new Error('ELEVENLABS_API_KEY missing');
-    console.log("opts", opts);
-    const request_body = {
-              text: opts.text,
-              voice_settings: opts.voice.params_json.length? opts.voice.params_json : {
-                stability: 0.4,
-                similarity_boost: 0.7
-              },
-              output_format: 'mp3_44100_128'
-            }
+/**
+ * Silent 16-bit PCM WAV (48 kHz stereo, the format of TTS stems), built in memory
+ * @param {number} seconds - Duration
+ * @returns {Buffer}
+ */
+export function silenceWav(seconds, { sampleRate = STEM_SAMPLE_RATE, channels = STEM_CHANNELS } = {}) {
+  return encodeWav(new Float32Array(Math.round(seconds * sampleRate)), { sampleRate, channels });
+}
 
-      console.log("request_body", request_body);
-  return withRetry(async () => {
-    const res = await fetch(
-      `https://api.elevenlabs.io/v1/text-to-speech/${opts.voice.voice_id}/stream?optimize_streaming_latency=0`,
-      {
-        method: 'POST',
-        headers: {
-          'xi-api-key': apiKey,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(request_body)
-      }
+/**
+ * Generate a dialogue stem with the voice's TTS provider (lib/tts-providers.js)
+ * Transient provider errors are retried; the provider's audio is transcoded to 48 kHz stereo WAV
+ * @param {Object} opts - {voice: {provider, voice_id, params_json}, text, signal}
+ * @returns {Promise<Buffer>} WAV
+ */
+export async function ttsGenerate(opts) {
+  const provider = getTtsProvider(opts.voice.provider);
+  if (opts.text.length > provider.maxTextLength) {
+    throw new RetryableError(
+      `${provider.label} TTS: line has ${opts.text.length} characters, the limit is ${provider.maxTextLength}`,
+      400,
+      false
     );
+  }
 
-    if (!res.ok) {
-      const errorText = await res.text();
-      if (res.status === 429 || res.status >= 500) {
-        throw new RetryableError(
-          `ElevenLabs TTS failed ${res.status}: ${errorText}`,
-          res.status,
-          true
-        );
-      }
-      throw new RetryableError(
-        `ElevenLabs TTS failed ${res.status}: ${errorText}`,
-        res.status,
-        false
-      );
-    }
-
-    return transcodeMp3ToWav(Buffer.from(await res.arrayBuffer()));
+  log.debug(`${provider.label} TTS request`, {
+    provider: provider.name,
+    voice_id: opts.voice.voice_id,
+    chars: opts.text.length,
+    voice_settings: opts.voice.params_json
+  });
+  return withRetry(async () => {
+    const audio = await provider.generate({ voice: opts.voice, text: opts.text, signal: opts.signal });
+    return provider.stemFormat ? audio : transcodeToWav(audio, opts.signal);
   }, {
     maxRetries: 3,
     initialDelayMs: 1000,
     maxDelayMs: 10000,
     jitterFactor: 0.2,
-    retryableStatuses: [429, 500, 502, 503, 504]
+    retryableStatuses: [429, 500, 502, 503, 504],
+    signal: opts.signal,
+    operation: provider.name
   });
-}
\ No newline at end of file
+}
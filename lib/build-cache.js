@@ -0,0 +1,75 @@
+// lib/build-cache.js
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Content-hash incremental builds
+ *
+ * Each pipeline stage hashes its inputs (scene JSON, stem and catalog file
+ * contents, upstream stage hashes). The hash and the stage output are kept in
+ * output/<project_id>/build/<scene_id>.json; a stage whose recorded hash matches
+ * is skipped and its output reused.
+ */
+
+// Bump when a stage's code changes what it produces from the same inputs
+export const BUILD_VERSION = 2;
+
+// sha256 of file contents, memoized on path + size + mtime so unchanged files are read once
+const fileHashes = new Map();
+
+export function fileHash(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+
+  const stat = fs.statSync(filePath);
+  const memoKey = `${filePath}:${stat.size}:${stat.mtimeMs}`;
+  if (!fileHashes.has(memoKey)) {
+    fileHashes.set(memoKey, crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'));
+  }
+  return fileHashes.get(memoKey);
+}
+
+// JSON with sorted object keys, so equal inputs always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of a stage's inputs
+ * @param {string} stage - Stage name (part of the hash, so stages never collide)
+ * @param {Object} inputs - Any JSON-serializable inputs
+ */
+export function contentHash(stage, inputs) {
+  return crypto.createHash('sha256')
+    .update(stableStringify({ version: BUILD_VERSION, stage, inputs }))
+    .digest('hex');
+}
+
+function recordPath(projectDir, scene_id) {
+  return path.join(projectDir, 'build', `${scene_id}.json`);
+}
+
+/**
+ * Stage records of a scene: { [stage]: { hash, ...output } }
+ */
+export function readBuildRecord(projectDir, scene_id) {
+  try {
+    return JSON.parse(fs.readFileSync(recordPath(projectDir, scene_id), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+export function writeBuildRecord(projectDir, scene_id, record) {
+  const file = recordPath(projectDir, scene_id);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file + '.tmp', JSON.stringify(record, null, 2));
+  fs.renameSync(file + '.tmp', file);
+}
@@ -0,0 +1,223 @@
+// lib/catalog-index.js
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { execa } from 'execa';
+import ffmpegPath from 'ffmpeg-static';
+import pLimit from 'p-limit';
+import { loadCatalog, parseTrackTags } from './catalog-loader.js';
+import { audioDurationSec } from './audio.js';
+import { measureLoudness } from './mix.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('catalog-index');
+
+/**
+ * Browsable catalog index
+ * - tags parsed from the filename convention
+ * - duration (ffprobe) and loudness (ffmpeg loudnorm pass) per track
+ * - short preview clips for auditioning tracks
+ *
+ * Measurements are cached in data/catalog_index.json keyed by track id and
+ * invalidated when the file's size or mtime changes. The index is built in the
+ * background (refreshCatalogIndex(), started with the server); listings serve what
+ * is measured so far and never wait for a probe. Previews are cached under
+ * data/previews/.
+ */
+
+const indexPath = path.join(process.cwd(), 'data', 'catalog_index.json');
+const previewDir = path.join(process.cwd(), 'data', 'previews');
+const probeLimit = pLimit(2);
+
+let index = null;
+let refreshing = null;
+const previewsInFlight = new Map();
+
+const PREVIEW_SECONDS = 15;
+const PREVIEW_FADE_SECONDS = 1;
+const PREVIEW_BITRATE = '64k';
+
+function readIndex() {
+  if (index) return index;
+  try {
+    index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  } catch {
+    index = {};
+  }
+  return index;
+}
+
+function writeIndex() {
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  const tmp = `${indexPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index, null, 2));
+  fs.renameSync(tmp, indexPath);
+}
+
+// Cached entry for a track if the file is unchanged since it was measured, else null
+function freshEntry(track) {
+  let stat;
+  try {
+    stat = fs.statSync(track.path);
+  } catch {
+    return null;
+  }
+  const cached = readIndex()[track.id];
+  return cached && cached.size === stat.size && cached.mtime_ms === stat.mtimeMs ? cached : null;
+}
+
+// Measure one track (duration and loudness)
+async function measureTrack(track) {
+  const stat = fs.statSync(track.path);
+
+  const duration = await audioDurationSec(track.path).catch(err => {
+    log.warn(`⚠️  Could not probe duration of ${track.id}: ${err.message}`);
+    return null;
+  });
+  const loudness = await measureLoudness(track.path).catch(err => {
+    log.warn(`⚠️  Could not measure loudness of ${track.id}: ${err.message}`);
+    return null;
+  });
+
+  const entry = {
+    size: stat.size,
+    mtime_ms: stat.mtimeMs,
+    duration: duration != null ? Math.round(duration * 100) / 100 : null,
+    lufs_i: loudness?.lufs_i ?? null,
+    true_peak_db: loudness?.true_peak_db ?? null
+  };
+
+  // Failed measurements are not cached so they are retried on the next refresh
+  return { entry, changed: duration != null && loudness != null };
+}
+
+/**
+ * Measure every catalog track whose index entry is missing or stale
+ * Only one refresh runs at a time; calls during a refresh share it
+ * @returns {Promise<number>} Tracks measured
+ */
+export function refreshCatalogIndex() {
+  refreshing ??= (async () => {
+    const stale = Object.values(loadCatalog()).flat().filter(track => !freshEntry(track));
+    let measured = 0;
+    await Promise.all(stale.map(track => probeLimit(async () => {
+      const { entry, changed } = await measureTrack(track);
+      if (!changed) return;
+      readIndex()[track.id] = entry;
+      writeIndex();
+      measured++;
+    })));
+    if (measured) log.info(`📇 Catalog index: measured ${measured} track(s)`);
+    return measured;
+  })().finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+}
+
+function matchesTags(info, wanted) {
+  const all = new Set([...info.tags, ...(info.instruments || []), ...(info.mood ? [info.mood] : [])]);
+  return wanted.every(tag => all.has(tag));
+}
+
+/**
+ * List catalog tracks with tags and the measurements indexed so far
+ * Tracks not measured yet have null measurements and `indexed: false`; listing them
+ * starts a background refresh
+ * @param {Object} filter - Optional filters
+ * @param {string} filter.type - music | ambience | sfx
+ * @param {string[]} filter.tags - Tracks must carry every tag (case-insensitive)
+ * @returns {Object[]} Tracks: {id, type, filename, tags, variant, instruments?, mood?, duration, lufs_i, true_peak_db, indexed}
+ */
+export function listCatalogTracks(filter = {}) {
+  const catalog = loadCatalog();
+  const wanted = (filter.tags || []).map(t => t.toLowerCase());
+
+  const candidates = [];
+  for (const [type, tracks] of Object.entries(catalog)) {
+    if (filter.type && type !== filter.type) continue;
+    for (const track of tracks) {
+      const info = parseTrackTags(type, track.filename);
+      if (wanted.length && !matchesTags(info, wanted)) continue;
+      candidates.push({ track, type, info });
+    }
+  }
+
+  const entries = candidates.map(c => freshEntry(c.track));
+  if (entries.includes(null) && !refreshing) {
+    refreshCatalogIndex().catch(err => log.warn(`⚠️  Catalog index refresh failed: ${err.message}`));
+  }
+
+  return candidates.map((c, i) => ({
+    id: c.track.id,
+    type: c.type,
+    filename: c.track.filename,
+    ...c.info,
+    duration: entries[i]?.duration ?? null,
+    lufs_i: entries[i]?.lufs_i ?? null,
+    true_peak_db: entries[i]?.true_peak_db ?? null,
+    indexed: entries[i] !== null
+  }));
+}
+
+/**
+ * Find a catalog track by id (e.g. "music/m_piano_scary_01.mp3")
+ * Only ids present in the catalog resolve, so the id can come straight from a URL
+ */
+export function findCatalogTrack(id) {
+  const catalog = loadCatalog();
+  for (const [type, tracks] of Object.entries(catalog)) {
+    const track = tracks.find(t => t.id === id);
+    if (track) return { ...track, type };
+  }
+  return null;
+}
+
+/**
+ * Render (or reuse) a short preview clip: mono MP3 at 64 kbps with fade in/out
+ * Music and ambience previews start 10% into the track to skip intros; SFX start at 0
+ * Previews are keyed by the full filename, so x.mp3 and x.wav get their own
+ * @returns {Promise<string>} Path to the preview file
+ */
+export async function renderPreview(track) {
+  const previewPath = path.join(previewDir, track.type, `${path.basename(track.filename)}.mp3`);
+  const sourceMtime = fs.statSync(track.path).mtimeMs;
+  if (fs.existsSync(previewPath) && fs.statSync(previewPath).mtimeMs >= sourceMtime) {
+    return previewPath;
+  }
+
+  // Concurrent requests for the same preview share one render
+  if (!previewsInFlight.has(previewPath)) {
+    previewsInFlight.set(previewPath, encodePreview(track, previewPath).finally(() => previewsInFlight.delete(previewPath)));
+  }
+  return previewsInFlight.get(previewPath);
+}
+
+async function encodePreview(track, previewPath) {
+  const duration = await audioDurationSec(track.path);
+  const start = track.type === 'sfx' ? 0 : Math.max(0, Math.min(duration * 0.1, duration - PREVIEW_SECONDS));
+  const length = Math.min(PREVIEW_SECONDS, duration - start);
+  const fade = Math.min(PREVIEW_FADE_SECONDS, length / 4);
+
+  fs.mkdirSync(path.dirname(previewPath), { recursive: true });
+  const tmp = `${previewPath}.${crypto.randomUUID()}.tmp.mp3`;
+  await execa(ffmpegPath, [
+    '-y',
+    '-v', 'error',
+    '-ss', start.toFixed(2),
+    '-t', length.toFixed(2),
+    '-i', track.path,
+    '-af', `afade=t=in:d=${fade.toFixed(2)},afade=t=out:st=${(length - fade).toFixed(2)}:d=${fade.toFixed(2)}`,
+    '-ac', '1',
+    '-c:a', 'libmp3lame',
+    '-b:a', PREVIEW_BITRATE,
+    tmp
+  ]).catch(err => {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  });
+  fs.renameSync(tmp, previewPath);
+
+  log.info(`🎧 Rendered preview for ${track.id}`);
+  return previewPath;
+}
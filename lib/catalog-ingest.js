@@ -0,0 +1,180 @@
+// lib/catalog-ingest.js
+import fs from 'fs';
+import path from 'path';
+import { execa } from 'execa';
+import ffmpegPath from 'ffmpeg-static';
+import pLimit from 'p-limit';
+import { CATALOG_TYPES, parseTrackTags } from './catalog-loader.js';
+import { probeAudio } from './audio.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('catalog-ingest');
+
+/**
+ * Catalog ingestion: probe an uploaded file, transcode it to the house format
+ * and store it under catalog/<type>/ with a convention-conforming name
+ *
+ * House format: WAV, 48 kHz, stereo, 16-bit PCM
+ * Names: <prefix>_<tag>_<tag>..._NN.wav where prefix is m (music), a (ambience) or s (sfx)
+ * and NN is the next free variant number for that tag combination.
+ *
+ * loadCatalog() and getTrackPath() read the catalog directory on every call,
+ * so ingested tracks are usable immediately.
+ */
+
+const CATALOG_BASE = 'catalog';
+const PREFIX = { music: 'm', ambience: 'a', sfx: 's' };
+const TAG_PATTERN = /^[a-z0-9]+$/;
+
+// Serializes variant assignment so concurrent uploads never claim the same _NN
+const ingestLimit = pLimit(1);
+
+/**
+ * Error for rejected uploads, carries the HTTP status
+ */
+export class IngestError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'IngestError';
+    this.status = status;
+  }
+}
+
+/**
+ * Build the name stem (without variant) for a track from its type and tags
+ * Accepts either a tag list or a full name such as "m_piano_sad" / "m_piano_sad_03"
+ * (a trailing variant number is ignored; the next free one is assigned on ingest)
+ * @returns {string} e.g. "m_piano_sad"
+ */
+export function trackStem(type, { tags = [], name } = {}) {
+  if (!CATALOG_TYPES.includes(type)) {
+    throw new IngestError(`Unknown catalog type "${type}" (expected ${CATALOG_TYPES.join(', ')})`);
+  }
+
+  let parts;
+  if (name) {
+    const base = path.basename(name, path.extname(name)).toLowerCase();
+    if (!base.startsWith(`${PREFIX[type]}_`)) {
+      throw new IngestError(`${type} names must start with "${PREFIX[type]}_" (got "${name}")`);
+    }
+    parts = parseTrackTags(type, base).tags;
+  } else {
+    parts = tags.map(t => String(t).trim().toLowerCase()).filter(Boolean);
+  }
+
+  const bad = parts.filter(t => !TAG_PATTERN.test(t));
+  if (bad.length) {
+    throw new IngestError(`Tags may only contain a-z and 0-9 (invalid: ${bad.join(', ')})`);
+  }
+  if (parts.length === 0) {
+    throw new IngestError('At least one tag is required');
+  }
+  if (type === 'music' && parts.length < 2) {
+    throw new IngestError('Music tracks need at least an instrument and a mood tag (m_<instrument>_<mood>)');
+  }
+
+  return [PREFIX[type], ...parts].join('_');
+}
+
+/**
+ * Next free variant number for a stem in catalog/<type>/ (any extension counts)
+ */
+export function nextVariant(type, stem) {
+  const dir = path.join(CATALOG_BASE, type);
+  const pattern = new RegExp(`^${stem}_(\\d+)\\.[a-z0-9]+$`, 'i');
+
+  let max = 0;
+  if (fs.existsSync(dir)) {
+    for (const file of fs.readdirSync(dir)) {
+      const match = file.match(pattern);
+      if (match) max = Math.max(max, parseInt(match[1], 10));
+    }
+  }
+  return max + 1;
+}
+
+async function transcodeToHouseFormat(inputPath, outputPath) {
+  await execa(ffmpegPath, [
+    '-y',
+    '-v', 'error',
+    '-i', inputPath,
+    '-vn',
+    '-ar', '48000',
+    '-ac', '2',
+    '-c:a', 'pcm_s16le',
+    '-f', 'wav',
+    outputPath
+  ]);
+}
+
+/**
+ * Ingest an uploaded audio file into the catalog
+ * @param {Object} upload
+ * @param {string} upload.type - music | ambience | sfx
+ * @param {string[]} upload.tags - Tags in naming order (music: instrument(s) then mood)
+ * @param {string} upload.name - Alternative to tags: a full convention name
+ * @param {string} upload.filePath - Path of the uploaded file (left in place)
+ * @returns {Promise<Object>} {id, type, filename, tags, variant, duration, sample_rate, channels, source}
+ */
+export async function ingestTrack({ type, tags, name, filePath }) {
+  const stem = trackStem(type, { tags, name });
+
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).size === 0) {
+    throw new IngestError('Uploaded file is empty');
+  }
+
+  let source;
+  try {
+    source = await probeAudio(filePath);
+  } catch (err) {
+    if (err.exitCode || err instanceof SyntaxError || /No audio stream/.test(err.message)) {
+      throw new IngestError(`Not a readable audio file: ${err.stderr || err.message}`);
+    }
+    throw err;
+  }
+  if (!isFinite(source.duration) || source.duration <= 0) {
+    throw new IngestError('Uploaded audio has no duration');
+  }
+
+  return ingestLimit(async () => {
+    const dir = path.join(CATALOG_BASE, type);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const variant = nextVariant(type, stem);
+    const filename = `${stem}_${String(variant).padStart(2, '0')}.wav`;
+    const finalPath = path.join(dir, filename);
+    // Dot-prefixed and not .wav, so loadCatalog() never lists a half-written file
+    const tmpPath = path.join(dir, `.${filename}.tmp`);
+
+    try {
+      await transcodeToHouseFormat(filePath, tmpPath);
+      const out = await probeAudio(tmpPath);
+      if (!isFinite(out.duration) || out.duration <= 0) {
+        throw new IngestError('Transcoded audio has no duration');
+      }
+      fs.renameSync(tmpPath, finalPath);
+
+      log.info(`📥 Ingested catalog track ${type}/${filename} (${out.duration.toFixed(1)}s)`);
+      return {
+        id: `${type}/${filename}`,
+        type,
+        filename,
+        ...parseTrackTags(type, filename),
+        duration: Math.round(out.duration * 100) / 100,
+        sample_rate: out.sample_rate,
+        channels: out.channels,
+        source: {
+          codec: source.codec,
+          sample_rate: source.sample_rate,
+          channels: source.channels
+        }
+      };
+    } catch (err) {
+      fs.rmSync(tmpPath, { force: true });
+      if (err instanceof IngestError) throw err;
+      // ffmpeg rejecting the input is the upload's fault; anything else (spawn failure, disk) is ours
+      if (err.exitCode) throw new IngestError(`Transcode failed: ${err.stderr || err.message}`);
+      throw err;
+    }
+  });
+}
@@ -1,14 +1,44 @@
 import fs from 'fs';
 import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('catalog-loader');
 
 const CATALOG_BASE = 'catalog';
 
+export const CATALOG_TYPES = ['music', 'ambience', 'sfx'];
+
+/**
+ * Parse tags from the catalog naming convention
+ *   music:    m_<instrument...>_<mood>_NN   e.g. m_piano_strings_sad_01.mp3
+ *   ambience: a_<place/sound...>_NN         e.g. a_rain_on_roof_01.mp3
+ *   sfx:      s_<sound...>_NN               e.g. s_door_knocking_02.mp3
+ * Returns { tags, variant } plus { instruments, mood } for music
+ */
+export function parseTrackTags(type, filename) {
+  const base = path.basename(filename, path.extname(filename)).toLowerCase();
+  const parts = base.split('_').filter(Boolean);
+  if (parts.length && parts[0].length === 1) parts.shift();
+
+  let variant = null;
+  if (parts.length && /^\d+$/.test(parts[parts.length - 1])) {
+    variant = parseInt(parts.pop(), 10);
+  }
+
+  const info = { tags: parts, variant };
+  if (type === 'music' && parts.length > 0) {
+    info.mood = parts.length > 1 ? parts[parts.length - 1] : null;
+    info.instruments = parts.length > 1 ? parts.slice(0, -1) : parts;
+  }
+  return info;
+}
+
 export function loadCatalog() {
-  console.log('📂 Loading audio catalog from:', CATALOG_BASE);
+  log.info('📂 Loading audio catalog from:', CATALOG_BASE);
   const catalog = { music: [], ambience: [], sfx: [] };  
   try {
     if (!fs.existsSync(CATALOG_BASE)) {
-      console.warn(`⚠️  Catalog directory not found: ${CATALOG_BASE}`);
+      log.warn(`⚠️  Catalog directory not found: ${CATALOG_BASE}`);
       fs.mkdirSync(path.join(CATALOG_BASE, 'music'), { recursive: true });
       fs.mkdirSync(path.join(CATALOG_BASE, 'ambience'), { recursive: true });
       fs.mkdirSync(path.join(CATALOG_BASE, 'sfx'), { recursive: true });
@@ -21,7 +51,7 @@ export function loadCatalog() {
       for (const file of musicFiles) {
         catalog.music.push({ id: `music/${file}`, path: path.join(musicDir, file), filename: file });
       }
-      console.log(`   ✅ Loaded ${catalog.music.length} music tracks`);
+      log.info(`✅ Loaded ${catalog.music.length} music tracks`);
     }
 
     const ambienceDir = path.join(CATALOG_BASE, 'ambience');
@@ -30,7 +60,7 @@ export function loadCatalog() {
       for (const file of ambienceFiles) {
         catalog.ambience.push({ id: `ambience/${file}`, path: path.join(ambienceDir, file), filename: file });
       }
-      console.log(`   ✅ Loaded ${catalog.ambience.length} ambience tracks`);
+      log.info(`✅ Loaded ${catalog.ambience.length} ambience tracks`);
     }
 
     const sfxDir = path.join(CATALOG_BASE, 'sfx');
@@ -39,12 +69,12 @@ export function loadCatalog() {
       for (const file of sfxFiles) {
         catalog.sfx.push({ id: `sfx/${file}`, path: path.join(sfxDir, file), filename: file });
       }
-      console.log(`   ✅ Loaded ${catalog.sfx.length} SFX files`);
+      log.info(`✅ Loaded ${catalog.sfx.length} SFX files`);
     }
 
     return catalog;
   } catch (error) {
-    console.error('❌ Error loading catalog:', error);
+    log.error('❌ Error loading catalog', error);
     return catalog;
   }
 }
@@ -74,7 +104,7 @@ export function getTrackPath(trackId) {
     if (result) return result;
   }
 
-  console.warn(`⚠️  Track not found: ${path.join(CATALOG_BASE, trackId)} or alternative extension`);
+  log.warn(`⚠️  Track not found: ${path.join(CATALOG_BASE, trackId)} or alternative extension`);
   return null;
 }
 
@@ -85,7 +115,11 @@ export function validateSceneTracks(scene) {
       if (!getTrackPath(musicCue.track_id)) missing.push(musicCue.track_id);
     }
   }
-  if (scene.ambience?.track_id && !getTrackPath(scene.ambience.track_id)) missing.push(scene.ambience.track_id);
+  // Ambience is an array in the Director JSON schema; older payloads send a single object
+  const ambience = Array.isArray(scene.ambience) ? scene.ambience : (scene.ambience ? [scene.ambience] : []);
+  for (const ambienceCue of ambience) {
+    if (ambienceCue.track_id && !getTrackPath(ambienceCue.track_id)) missing.push(ambienceCue.track_id);
+  }
   if (scene.sfx) {
     for (const sfxCue of scene.sfx) {
       if (!getTrackPath(sfxCue.track_id)) missing.push(sfxCue.track_id);
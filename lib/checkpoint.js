@@ -0,0 +1,133 @@
+// lib/checkpoint.js
+import fs from 'fs';
+import path from 'path';
+import { contentHash, fileHash } from './build-cache.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('checkpoint');
+
+/**
+ * Render checkpoints: output/<project_id>/checkpoint.json
+ *
+ * After each scene stage the orchestrator records what it produced:
+ *   tts      - stems [{line_id, path, size, sha256}]
+ *   align    - alignment
+ *   timeline - timeline
+ *   mix      - scene output {path, size, sha256} and loudness
+ * With resume enabled, a scene whose JSON is unchanged picks up after its last
+ * completed stage. Every referenced file is checked (exists, size, sha256); a
+ * failed check rolls the scene back to the stage that produced the file.
+ */
+
+export const STAGES = ['tts', 'align', 'timeline', 'mix'];
+
+function checkpointPath(projectDir) {
+  return path.join(projectDir, 'checkpoint.json');
+}
+
+export function readCheckpoint(projectDir) {
+  try {
+    return JSON.parse(fs.readFileSync(checkpointPath(projectDir), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * File reference with integrity data
+ */
+export function fileRef(filePath) {
+  return { path: filePath, size: fs.statSync(filePath).size, sha256: fileHash(filePath) };
+}
+
+function fileIntact(ref) {
+  return !!ref &&
+    fs.existsSync(ref.path) &&
+    fs.statSync(ref.path).size === ref.size &&
+    fileHash(ref.path) === ref.sha256;
+}
+
+// Drop stages whose files fail the integrity check (and every stage after them)
+function verifySceneState(state) {
+  let stage = state.stage;
+  if (stage === 'mix' && !fileIntact(state.output)) {
+    log.warn(`⚠️  Checkpoint: scene output for ${state.scene_id} is missing or changed, re-mixing`);
+    stage = 'timeline';
+  }
+  if (!(state.stems || []).every(fileIntact)) {
+    log.warn(`⚠️  Checkpoint: stems for ${state.scene_id} are missing or changed, regenerating`);
+    stage = null;
+  }
+  return stage ? { ...state, stage } : null;
+}
+
+/**
+ * Open the checkpoint of a project directory
+ * @param {string} projectDir - output/<project_id>
+ * @param {Object} options
+ * @param {boolean} options.resume - Use completed stages from the existing checkpoint
+ * @returns {Object} { resumeState(scene), record(scene, stage, data), forget(scene), finish(data) }
+ */
+export function openCheckpoint(projectDir, { resume = false } = {}) {
+  const checkpoint = readCheckpoint(projectDir) || { scenes: {} };
+  checkpoint.scenes ||= {};
+
+  const save = () => {
+    checkpoint.updated_at = new Date().toISOString();
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(checkpointPath(projectDir) + '.tmp', JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(checkpointPath(projectDir) + '.tmp', checkpointPath(projectDir));
+  };
+
+  return {
+    /**
+     * Verified state of a scene to resume from, or null to render it from scratch
+     * State: { stage, stems?, alignment?, timeline?, output?, loudness? } where stage is the last completed one
+     */
+    resumeState(scene) {
+      if (!resume) return null;
+      const state = checkpoint.scenes[scene.scene_id];
+      if (!state || state.scene_hash !== contentHash('scene', scene)) return null;
+      return verifySceneState(state);
+    },
+
+    /**
+     * Record a completed stage of a scene; starting 'tts' resets the scene's state
+     */
+    record(scene, stage, data = {}) {
+      const previous = stage === 'tts' ? {} : checkpoint.scenes[scene.scene_id] || {};
+      checkpoint.scenes[scene.scene_id] = {
+        ...previous,
+        ...data,
+        scene_id: scene.scene_id,
+        scene_hash: contentHash('scene', scene),
+        stage,
+        at: new Date().toISOString()
+      };
+      checkpoint.export = null;
+      save();
+    },
+
+    /**
+     * Drop a scene's state, so a resume renders it from scratch
+     */
+    forget(scene) {
+      if (!checkpoint.scenes[scene.scene_id]) return;
+      delete checkpoint.scenes[scene.scene_id];
+      checkpoint.export = null;
+      save();
+    },
+
+    finish(data) {
+      checkpoint.export = { ...data, at: new Date().toISOString() };
+      save();
+    }
+  };
+}
+
+/**
+ * Whether a stage is at or before the last completed stage of a resume state
+ */
+export function stageDone(state, stage) {
+  return !!state && STAGES.indexOf(stage) <= STAGES.indexOf(state.stage);
+}
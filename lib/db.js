@@ -1,12 +1,39 @@
 import { createClient } from '@supabase/supabase-js';
 import fs from 'fs';
 import path from 'path';
+import { createLogger } from './logger.js';
 
-const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
+const log = createLogger('db');
+
+let supabase = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
   ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY)
   : null;
 
-const localPath = path.join(process.cwd(), 'data', 'voice_map.json');
+let localPath = path.join(process.cwd(), 'data', 'voice_map.json');
+
+// Voice assigned to characters that have no voice_map row yet
+export const DEFAULT_VOICE = {
+  voice_id: '21m00Tcm4TlvDq8ikWAM', // Default ElevenLabs voice
+  provider: 'elevenlabs',
+  params_json: {
+    stability: 0.4,
+    similarity_boost: 0.7
+  }
+};
+
+/**
+ * Keep the voice map in a local JSON file instead of Supabase / data/voice_map.json
+ * (tests and scratch runs that must not touch the real rows)
+ * @returns {Function} Restores the previous store
+ */
+export function useLocalVoiceMap(file) {
+  const previous = { supabase, localPath };
+  supabase = null;
+  localPath = file;
+  return () => {
+    ({ supabase, localPath } = previous);
+  };
+}
 
 // Read local voice map
 function readLocal() {
@@ -37,7 +64,7 @@ export async function getVoiceForCharacter(project_id, character) {
       if (error) throw error;
       return data;
     } catch (err) {
-      console.error('DB error:', err);
+      log.error('DB error', err);
     }
   }
   
@@ -46,17 +73,34 @@ export async function getVoiceForCharacter(project_id, character) {
   return map[`${project_id}:${character}`] || null;
 }
 
-// Upsert voice map
-export async function upsertVoiceMap(project_id, character) {
+// All voice_map rows of a project
+export async function listVoiceMap(project_id) {
+  if (supabase) {
+    try {
+      const { data, error } = await supabase
+        .from('voice_map')
+        .select('*')
+        .eq('project_id', project_id);
+      
+      if (error) throw error;
+      return data || [];
+    } catch (err) {
+      log.error('DB error', err);
+    }
+  }
+  
+  // Fallback to local
+  return Object.values(readLocal()).filter(row => row.project_id === project_id);
+}
+
+// Upsert voice map (voice: {provider, voice_id, params_json}, default DEFAULT_VOICE)
+export async function upsertVoiceMap(project_id, character, voice = DEFAULT_VOICE) {
   const row = {
     project_id,
     character,
-    voice_id: '21m00Tcm4TlvDq8ikWAM', // Default ElevenLabs voice
-    provider: 'elevenlabs',
-    params_json: { 
-      stability: 0.4, 
-      similarity_boost: 0.7 
-    }
+    provider: voice.provider,
+    voice_id: voice.voice_id,
+    params_json: { ...voice.params_json }
   };
   
   if (supabase) {
@@ -70,7 +114,7 @@ export async function upsertVoiceMap(project_id, character) {
       if (error) throw error;
       return data || row;
     } catch (err) {
-      console.error('DB upsert error:', err);
+      log.error('DB upsert error', err);
     }
   }
   
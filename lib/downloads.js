@@ -0,0 +1,107 @@
+// lib/downloads.js
+import crypto from 'crypto';
+import path from 'path';
+
+/**
+ * Artifact download helpers
+ * - path resolution confined to output/<project_id>
+ * - content types for rendered artifacts
+ * - HMAC-signed, expiring download links
+ */
+
+const outputBase = path.join(process.cwd(), 'output');
+
+const CONTENT_TYPES = {
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// A single path segment: no separators, no traversal, no NUL bytes
+function isSafeSegment(s) {
+  return typeof s === 'string' &&
+    s.length > 0 &&
+    s !== '.' &&
+    s !== '..' &&
+    !/[\/\\\0]/.test(s);
+}
+
+/**
+ * Resolve output/<project_id> safely
+ * @returns {string|null} Absolute path, or null if project_id is not a single safe path segment
+ */
+export function resolveProjectDir(project_id) {
+  if (!isSafeSegment(project_id)) return null;
+  const projectDir = path.resolve(outputBase, project_id);
+  return path.dirname(projectDir) === outputBase ? projectDir : null;
+}
+
+/**
+ * Resolve output/<project_id>/<filename> safely
+ * @returns {string|null} Absolute path, or null if the params would escape the project directory
+ */
+export function resolveArtifactPath(project_id, filename) {
+  if (!isSafeSegment(project_id) || !isSafeSegment(filename)) return null;
+
+  const projectDir = path.resolve(outputBase, project_id);
+  const filePath = path.resolve(projectDir, filename);
+  if (path.dirname(filePath) !== projectDir || path.dirname(projectDir) !== outputBase) return null;
+
+  return filePath;
+}
+
+export function contentTypeFor(filename) {
+  return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+export function signingEnabled() {
+  return !!process.env.DOWNLOAD_SIGNING_SECRET;
+}
+
+function signature(project_id, filename, expires) {
+  return crypto
+    .createHmac('sha256', process.env.DOWNLOAD_SIGNING_SECRET)
+    .update(`${project_id}/${filename}:${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Build a signed, time-limited download URL
+ * Absolute when PUBLIC_BASE_URL is set, otherwise a path relative to this service
+ * @param {number} ttlSeconds - Link lifetime (default: DOWNLOAD_URL_TTL_SECONDS or 24h)
+ * @returns {{url: string, expires_at: string}}
+ */
+export function signDownloadUrl(project_id, filename, ttlSeconds) {
+  const ttl = ttlSeconds || parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS || '86400', 10);
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const sig = signature(project_id, filename, expires);
+  const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+  return {
+    url: `${base}/download/${encodeURIComponent(project_id)}/${encodeURIComponent(filename)}?expires=${expires}&sig=${sig}`,
+    expires_at: new Date(expires * 1000).toISOString()
+  };
+}
+
+/**
+ * Check a download link signature
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function verifyDownloadSignature(project_id, filename, expires, sig) {
+  if (!expires || !sig) return { valid: false, reason: 'Missing signature' };
+
+  const exp = parseInt(expires, 10);
+  if (!isFinite(exp) || exp < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'Link expired' };
+  }
+
+  const expected = Buffer.from(signature(project_id, filename, exp), 'hex');
+  const given = Buffer.from(String(sig), 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { valid: false, reason: 'Invalid signature' };
+  }
+
+  return { valid: true };
+}
@@ -0,0 +1,391 @@
+// lib/jobs.js
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import pLimit from 'p-limit';
+import { orchestrate, rerenderScene } from '../workers/orchestrator.js';
+import { ttsQuotaFor, recordRender } from './tenants.js';
+import { deliverWebhook, completedPayload, failedPayload } from './webhooks.js';
+import { createLogger, withLogContext } from './logger.js';
+
+const log = createLogger('jobs');
+
+/**
+ * In-process render queue with persisted job records
+ * Each job is stored as data/jobs/<id>.json so status survives a restart. State changes
+ * are written at once, progress events at most every JOB_PERSIST_INTERVAL_MS. Finished
+ * jobs are deleted JOB_RETENTION_HOURS after they ended (default 7 days)
+ */
+
+const jobsDir = path.join(process.cwd(), 'data', 'jobs');
+const limit = pLimit(Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '2', 10) || 2));
+const PERSIST_INTERVAL_MS = parseInt(process.env.JOB_PERSIST_INTERVAL_MS || '1000', 10);
+const RETENTION_MS = parseFloat(process.env.JOB_RETENTION_HOURS || '168') * 3600 * 1000;
+const PRUNE_INTERVAL_MS = 3600 * 1000;
+const jobs = new Map();
+const controllers = new Map();
+const pendingWrites = new Map();
+const reservedProjects = new Set();
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function jobPath(id) {
+  return path.join(jobsDir, `${id}.json`);
+}
+
+// Write via temp file + rename so a crash never leaves a half-written record
+function persist(job) {
+  clearTimeout(pendingWrites.get(job.id));
+  pendingWrites.delete(job.id);
+  job.updated_at = new Date().toISOString();
+  fs.mkdirSync(jobsDir, { recursive: true });
+  const tmp = jobPath(job.id) + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(job, null, 2));
+  fs.renameSync(tmp, jobPath(job.id));
+}
+
+// Persist within PERSIST_INTERVAL_MS, batching the progress events recorded until then
+function persistSoon(job) {
+  if (pendingWrites.has(job.id)) return;
+  pendingWrites.set(job.id, setTimeout(() => {
+    try {
+      persist(job);
+    } catch (err) {
+      log.error(`❌ Failed to persist job ${job.id}:`, err.message);
+    }
+  }, PERSIST_INTERVAL_MS));
+}
+
+/**
+ * A render of the project is already queued or running (409)
+ */
+export class ProjectBusyError extends Error {
+  constructor(project_id, job_ids) {
+    super(`Project ${project_id} is already being rendered`);
+    this.name = 'ProjectBusyError';
+    this.status = 409;
+    this.project_id = project_id;
+    this.job_ids = job_ids;
+  }
+}
+
+/**
+ * Hold a project for one render at a time, outside the queue: a synchronous render,
+ * a job request until its job is created, or a project deletion. Two renders writing
+ * output/<project_id> at once would overwrite each other's scene files and checkpoint
+ * @throws {ProjectBusyError} while a job or another reservation uses the project
+ * @returns {Function} Releases the project (idempotent)
+ */
+export function reserveProject(project_id) {
+  const active = activeJobsForProject(project_id);
+  if (active.length > 0 || reservedProjects.has(project_id)) {
+    throw new ProjectBusyError(project_id, active.map(j => j.id));
+  }
+  reservedProjects.add(project_id);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    reservedProjects.delete(project_id);
+  };
+}
+
+/**
+ * Public view of a job (the submitted Director JSON and event log are omitted)
+ */
+export function serializeJob(job) {
+  const { director, events, ...rest } = job;
+  return { ...rest, last_event: events?.at(-1) || null };
+}
+
+export function getJob(id) {
+  if (jobs.has(id)) return jobs.get(id);
+  try {
+    const job = JSON.parse(fs.readFileSync(jobPath(id), 'utf8'));
+    jobs.set(id, job);
+    return job;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a job for a Director JSON payload and queue it
+ * Kinds:
+ *   'episode' - full render through orchestrate()
+ *   'scene'   - re-render director.scenes[0] of an existing episode through rerenderScene()
+ * @param {Object} director - Director JSON (validated by the worker)
+ * @param {Object} options - Optional settings
+ * @param {string} options.kind - Job kind (default: 'episode')
+ * @param {string} options.tenant_id - Owning tenant (quotas and usage are applied to it)
+ * @param {boolean} options.resume - Resume from the project's render checkpoint (episode jobs)
+ * @returns {Object} The queued job record
+ */
+export function createJob(director, options = {}) {
+  const now = new Date().toISOString();
+  const kind = options.kind || 'episode';
+  const job = {
+    id: crypto.randomUUID(),
+    kind,
+    tenant_id: options.tenant_id || null,
+    project_id: director.project_id,
+    resume: !!options.resume,
+    state: 'queued',
+    step: null,
+    scenes: (director.scenes || []).map((s, i) => ({
+      scene_id: s.scene_id,
+      scene_index: kind === 'episode' ? i : null,
+      step: 'pending'
+    })),
+    percent: 0,
+    events: [],
+    result: null,
+    error: null,
+    created_at: now,
+    updated_at: now,
+    started_at: null,
+    finished_at: null,
+    director
+  };
+
+  jobs.set(job.id, job);
+  persist(job);
+  enqueue(job);
+  return job;
+}
+
+function enqueue(job) {
+  // Everything the job logs (orchestrator, workers, webhooks) carries its job_id
+  limit(() => withLogContext({ job_id: job.id, project_id: job.project_id }, () => runJob(job))).catch(err => {
+    log.error(`❌ Job ${job.id} crashed outside orchestration:`, err);
+  });
+}
+
+/**
+ * Subscribe to a job's progress events
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(id, listener) {
+  bus.on(id, listener);
+  return () => bus.off(id, listener);
+}
+
+/**
+ * Number of queued or running jobs owned by a tenant
+ */
+export function activeJobCount(tenant_id) {
+  let n = 0;
+  for (const job of jobs.values()) {
+    if (job.tenant_id === tenant_id && !isFinished(job)) n++;
+  }
+  return n;
+}
+
+/**
+ * Queued or running jobs rendering into a project
+ */
+export function activeJobsForProject(project_id) {
+  return [...jobs.values()].filter(job => job.project_id === project_id && !isFinished(job));
+}
+
+export function isFinished(job) {
+  return job.state === 'done' || job.state === 'failed' || job.state === 'cancelled';
+}
+
+/**
+ * Cancel a queued or running job
+ * Queued jobs are cancelled immediately; running jobs are aborted and end
+ * in 'cancelled' once their child processes have been killed
+ * @returns {Object|null} The job, or null if it is unknown
+ */
+export function cancelJob(id) {
+  const job = getJob(id);
+  if (!job || isFinished(job)) return job;
+
+  if (job.state === 'queued') {
+    job.state = 'cancelled';
+    job.finished_at = new Date().toISOString();
+    recordEvent(job, jobEvent(job, 'cancelled'));
+    log.info(`🛑 Job ${job.id} cancelled before starting`);
+    notify(job, 'render.cancelled');
+    return job;
+  }
+
+  controllers.get(id)?.abort();
+  return job;
+}
+
+// Record an event on the job, update its status view and notify subscribers
+function recordEvent(job, event) {
+  const seq = (job.events.at(-1)?.seq ?? 0) + 1;
+  const entry = { seq, ...event };
+
+  const scene = event.scene_id != null && job.scenes.find(s => s.scene_id === event.scene_id);
+  if (scene) scene.scene_index = event.scene_index;
+
+  if (event.type === 'step_started') {
+    if (scene) {
+      scene.step = event.step;
+      job.step = 'scenes';
+    } else {
+      job.step = event.step;
+    }
+  } else if (event.type === 'scene_done' && scene) {
+    scene.step = 'done';
+  } else if (event.type === 'scene_skipped' && scene) {
+    scene.step = 'skipped';
+  }
+  if (typeof event.percent === 'number') job.percent = event.percent;
+
+  job.events.push(entry);
+  if (isFinished(job) || event.type === 'requeued') persist(job);
+  else persistSoon(job);
+  bus.emit(job.id, entry);
+}
+
+// Fire the job's callback_url, if any; delivery runs outside the queue slot
+function notify(job, event, data = {}) {
+  const url = job.director?.callback_url;
+  if (!url) return;
+  deliverWebhook({
+    url,
+    event,
+    project_id: job.project_id,
+    job_id: job.id,
+    tenant_id: job.tenant_id,
+    data
+  });
+}
+
+function jobEvent(job, type, data = {}) {
+  return {
+    type,
+    scene_index: null,
+    scene_id: null,
+    ...data,
+    percent: job.percent,
+    at: new Date().toISOString()
+  };
+}
+
+async function runJob(job) {
+  if (job.state === 'cancelled') return;
+
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  job.state = 'running';
+  job.started_at = new Date().toISOString();
+  persist(job);
+  log.info(`🏃 Job ${job.id} started for project: ${job.project_id}`);
+
+  try {
+    const options = {
+      onEvent: (event) => recordEvent(job, event),
+      signal: controller.signal,
+      quota: job.tenant_id ? ttsQuotaFor(job.tenant_id) : null,
+      resume: job.resume,
+      failure_policy: job.director.failure_policy,
+      tts_provider: job.director.tts_provider,
+      voice_settings: job.director.voice_settings,
+      characters: job.director.characters
+    };
+    const result = job.kind === 'scene'
+      ? await rerenderScene(job.project_id, job.director.scenes[0], options)
+      : await orchestrate(job.director, options);
+
+    job.state = 'done';
+    job.step = null;
+    job.result = {
+      audio_urls: result.audio_urls,
+      manifest: result.manifest,
+      degraded: result.degraded,
+      build: result.build
+    };
+    job.finished_at = new Date().toISOString();
+    if (job.tenant_id) recordRender(job.tenant_id, result.manifest.total || 0);
+    recordEvent(job, jobEvent(job, 'done', { audio_urls: result.audio_urls }));
+    log.info(`✅ Job ${job.id} done`);
+    notify(job, 'render.completed', completedPayload(result));
+  } catch (err) {
+    if (controller.signal.aborted) {
+      job.state = 'cancelled';
+      job.finished_at = new Date().toISOString();
+      recordEvent(job, jobEvent(job, 'cancelled'));
+      log.info(`🛑 Job ${job.id} cancelled`);
+      notify(job, 'render.cancelled');
+      return;
+    }
+
+    job.state = 'failed';
+    job.error = { message: err.message };
+    job.finished_at = new Date().toISOString();
+
+    // Attribute the failure to the scene that raised it (tagged by the orchestrator),
+    // else to the first scene that was mid-render
+    const scene = err.scene_id != null
+      ? { scene_id: err.scene_id, scene_index: err.scene_index }
+      : job.scenes.find(s => !['pending', 'done', 'skipped'].includes(s.step));
+    recordEvent(job, jobEvent(job, 'error', {
+      message: err.message,
+      ...(scene && { scene_index: scene.scene_index, scene_id: scene.scene_id })
+    }));
+    log.error(`❌ Job ${job.id} failed:`, err.message);
+    notify(job, 'render.failed', failedPayload(err, scene));
+  } finally {
+    controllers.delete(job.id);
+  }
+}
+
+/**
+ * Delete finished jobs that ended more than JOB_RETENTION_HOURS ago
+ * @returns {number} Jobs deleted
+ */
+export function pruneJobs(now = Date.now()) {
+  let pruned = 0;
+  for (const job of jobs.values()) {
+    if (!isFinished(job) || now - Date.parse(job.finished_at || job.updated_at) < RETENTION_MS) continue;
+    jobs.delete(job.id);
+    fs.rmSync(jobPath(job.id), { force: true });
+    pruned++;
+  }
+  if (pruned) log.info(`🧹 Pruned ${pruned} finished jobs`);
+  return pruned;
+}
+
+/**
+ * Reload persisted jobs on startup and start pruning finished ones (see pruneJobs())
+ * Jobs that were queued or mid-render when the process stopped are queued again
+ * in resume mode, continuing from the project checkpoint
+ */
+export function restoreJobs() {
+  setInterval(() => pruneJobs(), PRUNE_INTERVAL_MS).unref();
+  if (!fs.existsSync(jobsDir)) return 0;
+
+  let requeued = 0;
+  for (const file of fs.readdirSync(jobsDir).filter(f => f.endsWith('.json'))) {
+    let job;
+    try {
+      job = JSON.parse(fs.readFileSync(path.join(jobsDir, file), 'utf8'));
+    } catch (err) {
+      log.warn(`⚠️  Skipping unreadable job record ${file}: ${err.message}`);
+      continue;
+    }
+
+    jobs.set(job.id, job);
+    if (job.state === 'queued' || job.state === 'running') {
+      job.state = 'queued';
+      job.resume = true;
+      job.step = null;
+      job.scenes = job.scenes.map(s => ({ ...s, step: 'pending' }));
+      job.events = job.events || [];
+      job.percent = 0;
+      recordEvent(job, jobEvent(job, 'requeued'));
+      enqueue(job);
+      requeued++;
+    }
+  }
+
+  pruneJobs();
+  return requeued;
+}
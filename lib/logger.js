@@ -0,0 +1,167 @@
+// lib/logger.js
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Structured logger
+ *
+ *   const log = createLogger('tts');
+ *   log.info('Generated stem', { line_id });
+ *
+ * Levels: debug < info < warn < error (LOG_LEVEL, default info)
+ * Format: LOG_FORMAT=json|pretty, default json when NODE_ENV=production
+ *
+ * Every record carries the render context of the code that logged it:
+ * project_id, job_id, scene_id and stage, set with withLogContext() /
+ * setLogContext() and propagated through async calls by AsyncLocalStorage, so
+ * lines of concurrent renders can be told apart.
+ *
+ * Secrets are redacted: fields named like keys, tokens and secrets, the values
+ * of secret environment variables wherever they appear, and text content
+ * (dialogue `text`, request bodies), which is replaced by its length.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const CONTEXT_FIELDS = ['project_id', 'job_id', 'scene_id', 'stage'];
+const SECRET_KEY = /(api[-_]?key|token|secret|password|authorization|signature)/i;
+const TEXT_KEY = /^(text|request_body|body|input)$/i;
+const SECRET_ENV = /(KEY|TOKEN|SECRET|PASSWORD)$/;
+
+const contextStore = new AsyncLocalStorage();
+
+let config = null;
+
+function currentConfig() {
+  config ??= {
+    level: LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info,
+    format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+    write: (level, line) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n')
+  };
+  return config;
+}
+
+/**
+ * Override level, format or output (tests); unset options keep their env defaults
+ * @param {Object} options - {level: 'debug'|'info'|'warn'|'error', format: 'json'|'pretty', write(level, line)}
+ */
+export function configureLogger(options = {}) {
+  const current = currentConfig();
+  config = {
+    ...current,
+    ...(options.level && { level: LEVELS[options.level] }),
+    ...(options.format && { format: options.format }),
+    ...(options.write && { write: options.write })
+  };
+}
+
+/**
+ * Run fn with extra log context (project_id, job_id, scene_id, stage) merged
+ * into the current context; everything fn awaits inherits it
+ */
+export function withLogContext(fields, fn) {
+  return contextStore.run({ ...contextStore.getStore(), ...fields }, fn);
+}
+
+/**
+ * Update the current log context in place (e.g. the stage a scene has reached)
+ */
+export function setLogContext(fields) {
+  const store = contextStore.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+export function logContext() {
+  return { ...contextStore.getStore() };
+}
+
+// Values of secret environment variables, masked wherever they show up in a message
+function secretValues() {
+  return Object.entries(process.env)
+    .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= 8)
+    .map(([, value]) => value);
+}
+
+function redactString(str) {
+  let out = str;
+  for (const secret of secretValues()) {
+    if (out.includes(secret)) out = out.split(secret).join('[redacted]');
+  }
+  return out;
+}
+
+/**
+ * Copy of a value safe to log: secret fields and text content are replaced
+ */
+export function redact(value, key = '', depth = 0) {
+  if (key && SECRET_KEY.test(key) && value != null) return '[redacted]';
+  if (key && TEXT_KEY.test(key) && typeof value === 'string') return `[${value.length} chars]`;
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.status != null && { status: value.status }),
+      ...(value.stack && { stack: redactString(value.stack) })
+    };
+  }
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (depth > 5) return '[truncated]';
+  if (Array.isArray(value)) return value.map(v => redact(v, '', depth + 1));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k, depth + 1)]));
+  }
+  return value;
+}
+
+// console-style arguments: strings and numbers extend the message, an Error
+// becomes `err`, plain objects become fields
+function buildRecord(level, component, msg, args) {
+  const parts = [String(msg).trim()];
+  const fields = {};
+  for (const arg of args) {
+    if (arg instanceof Error) fields.err = arg;
+    else if (arg && typeof arg === 'object') Object.assign(fields, arg);
+    else parts.push(String(arg));
+  }
+
+  const context = contextStore.getStore() || {};
+  return redact({
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: parts.join(' '),
+    ...Object.fromEntries(CONTEXT_FIELDS.filter(f => context[f] != null).map(f => [f, context[f]])),
+    ...fields
+  });
+}
+
+function prettyLine(record) {
+  const { time, level, component, msg, err, ...rest } = record;
+  const context = CONTEXT_FIELDS.filter(f => rest[f] != null).map(f => rest[f]);
+  for (const f of CONTEXT_FIELDS) delete rest[f];
+
+  const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+  const error = err ? `\n    ${err.stack || `${err.name}: ${err.message}`}` : '';
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${component}]` +
+    `${context.length ? ` (${context.join(' ')})` : ''} ${msg}${extra}${error}`;
+}
+
+/**
+ * Logger for one module
+ * @param {string} component - Module name shown on every record (e.g. 'tts', 'mixer')
+ * @returns {Object} { debug, info, warn, error } taking (msg, ...fieldsOrErrors)
+ */
+export function createLogger(component) {
+  const emit = (level) => (msg, ...args) => {
+    const { level: threshold, format, write } = currentConfig();
+    if (LEVELS[level] < threshold) return;
+    const record = buildRecord(level, component, msg, args);
+    write(level, format === 'json' ? JSON.stringify(record) : prettyLine(record));
+  };
+
+  return {
+    debug: emit('debug'),
+    info: emit('info'),
+    warn: emit('warn'),
+    error: emit('error')
+  };
+}
@@ -0,0 +1,159 @@
+// lib/markup.js
+
+/**
+ * Performance directions and SSML-style markup in dialogue text
+ *
+ *   "[whispering] Get down… <break time="1s"/> now!"
+ *
+ * - [direction]           - stripped; known directions (whisper, shout, sad, ...) adjust
+ *                           the line's voice settings, unknown ones are only recorded
+ * - <break time="1s"/>    - stripped; becomes real silence in the stem (time in s or ms,
+ *                           or strength="weak|medium|strong|x-strong"; at most 5 s)
+ * - other <tags>          - e.g. <emphasis>…</emphasis>, the tag is stripped, its text kept
+ *
+ * Providers only ever see the clean text; alignment keeps the tags next to it.
+ */
+
+const DIRECTION = /\[([^\]]*)\]/y;
+const BREAK = /<break\b([^>]*)\/?>/iy;
+const TAG = /<\/?[a-z][\w-]*(?:\s[^>]*)?\/?>/iy;
+
+const MAX_BREAK_SECONDS = 5;
+const DEFAULT_BREAK_SECONDS = 0.5;
+const BREAK_STRENGTHS = { none: 0, 'x-weak': 0.1, weak: 0.25, medium: 0.5, strong: 0.75, 'x-strong': 1 };
+
+// Voice setting adjustments: stability and style are shifted, speed is multiplied
+const DIRECTIONS = [
+  { name: 'whisper', words: ['whisper', 'whispers', 'whispering', 'whispered', 'softly', 'quietly', 'hushed'], adjust: { stability: 0.2, style: -0.1, speed: 0.9 } },
+  { name: 'shout', words: ['shout', 'shouts', 'shouting', 'shouted', 'yell', 'yells', 'yelling', 'screaming', 'loudly'], adjust: { stability: -0.25, style: 0.4, speed: 1.05 } },
+  { name: 'sad', words: ['sad', 'sadly', 'sorrowful', 'crying', 'tearful', 'mournful'], adjust: { stability: 0.1, style: 0.2, speed: 0.9 } },
+  { name: 'angry', words: ['angry', 'angrily', 'furious', 'furiously'], adjust: { stability: -0.2, style: 0.35, speed: 1.05 } },
+  { name: 'excited', words: ['excited', 'excitedly', 'happy', 'happily', 'cheerful', 'joyful'], adjust: { stability: -0.15, style: 0.3, speed: 1.08 } },
+  { name: 'scared', words: ['scared', 'afraid', 'fearful', 'frightened', 'nervous', 'nervously'], adjust: { stability: -0.2, style: 0.25, speed: 1.1 } },
+  { name: 'calm', words: ['calm', 'calmly', 'gently', 'soothing', 'soothingly'], adjust: { stability: 0.2, style: -0.1, speed: 0.95 } }
+];
+
+// Bounds of the adjusted settings (speed: ElevenLabs accepts 0.7 - 1.2)
+const LIMITS = { stability: [0, 1], style: [0, 1], speed: [0.7, 1.2] };
+// Values assumed when the voice does not set them
+const BASE_SETTINGS = { stability: 0.5, style: 0, speed: 1 };
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+const round = (value) => Math.round(value * 1000) / 1000;
+
+function breakSeconds(attributes) {
+  const time = /time\s*=\s*["']?\s*([\d.]+)\s*(ms|s)?/i.exec(attributes);
+  if (time) {
+    const value = parseFloat(time[1]);
+    return Math.min(MAX_BREAK_SECONDS, time[2]?.toLowerCase() === 'ms' ? value / 1000 : value);
+  }
+  const strength = /strength\s*=\s*["']?([\w-]+)/i.exec(attributes);
+  return BREAK_STRENGTHS[strength?.[1].toLowerCase()] ?? DEFAULT_BREAK_SECONDS;
+}
+
+function directionAdjustment(direction) {
+  const words = direction.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  return DIRECTIONS.filter(d => d.words.some(w => words.includes(w)));
+}
+
+const cleanSpacing = (text) => text.replace(/\s+/g, ' ').replace(/\s+([,.!?;:…])/g, '$1').trim();
+
+/**
+ * Parse a dialogue line
+ * @param {string} text - DialogueLine.text, possibly with markup
+ * @returns {Object} {
+ *   text,          clean text (what is spoken and subtitled)
+ *   segments,      [{text} | {pause: seconds}] in order, for synthesis
+ *   directions,    direction texts as written, e.g. ['whispering']
+ *   adjust,        combined {stability, style, speed} adjustment, or null
+ *   tags,          [{type: 'direction', value, at} | {type: 'break', seconds, at}], at = offset in text
+ *   pause_seconds  total break time
+ * }
+ */
+export function parseMarkup(text) {
+  const segments = [];
+  const tags = [];
+  const directions = [];
+  let current = '';
+  let spoken = '';
+
+  // Offset in the clean text where the next tag sits
+  const position = () => cleanSpacing(`${spoken} ${current}`).length;
+  const flush = () => {
+    const segment = cleanSpacing(current);
+    if (segment) {
+      segments.push({ text: segment });
+      spoken = `${spoken} ${segment}`;
+    }
+    current = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    let match;
+    DIRECTION.lastIndex = BREAK.lastIndex = TAG.lastIndex = i;
+    if ((match = DIRECTION.exec(text))) {
+      const value = match[1].trim();
+      if (value) {
+        directions.push(value);
+        tags.push({ type: 'direction', value, at: position() });
+      }
+      current += ' ';
+    } else if ((match = BREAK.exec(text))) {
+      const seconds = breakSeconds(match[1]);
+      tags.push({ type: 'break', seconds, at: position() });
+      flush();
+      if (seconds > 0) segments.push({ pause: seconds });
+    } else if ((match = TAG.exec(text))) {
+      current += ' ';
+    } else {
+      current += text[i];
+      i++;
+      continue;
+    }
+    i += match[0].length;
+  }
+  flush();
+
+  const matched = directions.flatMap(directionAdjustment);
+  const adjust = matched.length
+    ? matched.reduce((a, { adjust: d }) => ({
+      stability: round(a.stability + d.stability),
+      style: round(a.style + d.style),
+      speed: round(a.speed * d.speed)
+    }), { stability: 0, style: 0, speed: 1 })
+    : null;
+
+  return {
+    text: cleanSpacing(spoken),
+    segments,
+    directions,
+    adjust,
+    tags,
+    pause_seconds: round(segments.reduce((t, s) => t + (s.pause || 0), 0))
+  };
+}
+
+/**
+ * Dialogue text without markup
+ */
+export function cleanText(text) {
+  return parseMarkup(text).text;
+}
+
+/**
+ * Voice with a line's direction adjustments applied to its settings
+ * @param {Object} voice - {provider, voice_id, params_json}
+ * @param {Object} markup - parseMarkup() result
+ */
+export function voiceForLine(voice, markup) {
+  if (!markup.adjust) return voice;
+  const params = voice.params_json || {};
+  const adjusted = { ...params };
+  for (const [key, limits] of Object.entries(LIMITS)) {
+    const base = params[key] ?? BASE_SETTINGS[key];
+    const value = key === 'speed' ? base * markup.adjust.speed : base + markup.adjust[key];
+    adjusted[key] = round(clamp(value, limits));
+  }
+  return { ...voice, params_json: adjusted };
+}
@@ -0,0 +1,147 @@
+// lib/metrics.js
+
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4)
+ * Served at GET /metrics
+ *
+ * Pipeline metrics:
+ *   storymagic_stage_duration_seconds{stage}  - histogram per pipeline stage
+ *   storymagic_tts_characters_total{provider} - characters sent to TTS providers
+ *   storymagic_tts_cache_total{result}        - stem cache lookups (hit | miss)
+ *   storymagic_retries_total{operation}       - withRetry re-attempts
+ *   storymagic_stage_reused_total{stage}      - stages skipped because their input hash was unchanged
+ *   storymagic_alignment_fallbacks_total      - lines aligned by duration because Whisper gave no words
+ *   storymagic_mix_fallbacks_total            - scenes mixed dialogue-only after an ffmpeg failure
+ */
+
+const registry = [];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelString(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(labels);
+    const entry = this.series.get(key) || { labels, value: 0 };
+    entry.value += value;
+    this.series.set(key, entry);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    if (this.series.size === 0) lines.push(`${this.name} 0`);
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${labelString(labels)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, entry);
+    }
+    this.buckets.forEach((le, i) => {
+      if (value <= le) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${labelString({ ...labels, le })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${labelString(labels)} ${sum}`);
+      lines.push(`${this.name}_count${labelString(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+export const stageDuration = new Histogram(
+  'storymagic_stage_duration_seconds',
+  'Duration of pipeline stages (tts, align, timeline, mix, export, loudnorm, loudness_measure) in seconds',
+  [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600]
+);
+
+export const ttsCharacters = new Counter(
+  'storymagic_tts_characters_total',
+  'Characters sent to TTS providers by provider'
+);
+
+export const ttsCache = new Counter(
+  'storymagic_tts_cache_total',
+  'TTS stem cache lookups by result (hit or miss)'
+);
+
+export const retries = new Counter(
+  'storymagic_retries_total',
+  'Retried attempts in withRetry by operation'
+);
+
+export const stageReused = new Counter(
+  'storymagic_stage_reused_total',
+  'Pipeline stages skipped because their content hash matched the build record'
+);
+
+export const alignmentFallbacks = new Counter(
+  'storymagic_alignment_fallbacks_total',
+  'Dialogue lines aligned by stem duration because Whisper returned no words'
+);
+
+export const mixFallbacks = new Counter(
+  'storymagic_mix_fallbacks_total',
+  'Scenes written as dialogue only because the ffmpeg mix failed'
+);
+
+/**
+ * Time an async pipeline stage into storymagic_stage_duration_seconds
+ * Failed and cancelled runs are recorded too, so slow failures stay visible
+ */
+export async function timeStage(stage, fn) {
+  const started = process.hrtime.bigint();
+  try {
+    return await fn();
+  } finally {
+    stageDuration.observe({ stage }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * All metrics in Prometheus text format
+ */
+export function renderMetrics() {
+  return registry.map(m => m.render()).join('\n\n') + '\n';
+}
@@ -76,13 +76,15 @@ export function duckToVolumeEnables(curve, hop = 0.1) {
  * Two-pass EBU R128 loudness normalization
  * Pass 1: Analyze input loudness
  * Pass 2: Apply normalization to hit target LUFS
+ * options.signal cancels either pass
  */
 export async function loudnormTwoPass(
   inputPath,
   outPath,
   targetLUFS = -16,
   truePeakDB = -1,
-  LRA = 11
+  LRA = 11,
+  options = {}
 ) {
   // Pass 1: Analyze
   const pass1 = await execa(ffmpeg, [
@@ -90,7 +92,7 @@ export async function loudnormTwoPass(
     '-af', `loudnorm=I=${targetLUFS}:TP=${truePeakDB}:LRA=${LRA}:print_format=json`,
     '-f', 'null',
     '-'
-  ], { reject: false });
+  ], { reject: false, signal: options.signal });
 
   const analysisText = pass1.stderr || pass1.stdout || '';
   
@@ -114,5 +116,32 @@ export async function loudnormTwoPass(
     '-c:a', 'aac',
     '-b:a', '192k',
     outPath
-  ]);
-}
\ No newline at end of file
+  ], { signal: options.signal });
+}
+
+/**
+ * Measure integrated loudness and true peak (EBU R128)
+ * Single analysis pass of loudnorm, no output written
+ * Returns { lufs_i, true_peak_db, lra }
+ */
+export async function measureLoudness(inputPath, options = {}) {
+  const { stderr } = await execa(ffmpeg, [
+    '-i', inputPath,
+    '-af', 'loudnorm=print_format=json',
+    '-f', 'null',
+    '-'
+  ], { reject: false, signal: options.signal });
+
+  const match = (stderr || '').match(/\{[\s\S]*"input_i"[\s\S]*?\}/);
+  if (!match) throw new Error('No loudness analysis for ' + inputPath);
+
+  const stats = JSON.parse(match[0]);
+  const lufs_i = parseFloat(stats.input_i);
+  if (!isFinite(lufs_i)) throw new Error('No loudness analysis for ' + inputPath);
+
+  return {
+    lufs_i,
+    true_peak_db: parseFloat(stats.input_tp),
+    lra: parseFloat(stats.input_lra)
+  };
+}
@@ -0,0 +1,115 @@
+// lib/mock-tts.js
+import { hash } from './idempotency.js';
+import { encodeWav, STEM_SAMPLE_RATE } from './wav.js';
+
+/**
+ * Deterministic offline speech stand-in (the `mock` TTS provider)
+ *
+ * Every syllable is a short harmonic tone burst, words are separated by a short
+ * gap and punctuation adds a pause (clause marks, sentence ends, ellipses).
+ * Pitch comes from the voice_id, so characters stay distinguishable, and rises
+ * before a question mark / falls at a sentence end. The same text and voice
+ * always give the same bytes, so stems cache and align like real ones.
+ */
+
+const SYLLABLE_SECONDS = 0.2;
+const WORD_GAP_SECONDS = 0.05;
+const EDGE_SECONDS = 0.05;
+const PAUSES = { clause: 0.25, sentence: 0.45, ellipsis: 0.6 };
+const ATTACK_SECONDS = 0.015;
+const RELEASE_SECONDS = 0.03;
+const AMPLITUDE = 0.25;
+
+const TOKENS = /([\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*)|(\.\.\.|…)|([.!?]+)|([,;:—–]|\s-\s)/gu;
+
+const seed = (value) => parseInt(hash(value).slice(0, 8), 16);
+
+/**
+ * Rough syllable count: vowel groups (ignoring a silent final e), digits one each
+ */
+export function countSyllables(word) {
+  if (/^\p{N}+$/u.test(word)) return word.length;
+  const groups = word.toLowerCase().replace(/e$/, '').match(/[aeiouyàâäéèêëïîôöùûü]+/g);
+  return groups ? groups.length : Math.max(1, Math.round(word.length / 3));
+}
+
+/**
+ * Words and pauses of a line: [{type: 'word', word, syllables, inflection} | {type: 'pause', seconds}]
+ * Leading and trailing pauses are dropped (the gap between lines is the timeline's job)
+ */
+export function speechSegments(text) {
+  const segments = [];
+  for (const [, word, ellipsis, sentence, clause] of text.matchAll(TOKENS)) {
+    if (word) {
+      segments.push({ type: 'word', word, syllables: countSyllables(word), inflection: 0 });
+      continue;
+    }
+    const seconds = ellipsis ? PAUSES.ellipsis : sentence ? PAUSES.sentence : PAUSES.clause;
+    const previous = segments.at(-1);
+    if (!previous) continue;
+    if (previous.type === 'pause') {
+      previous.seconds = Math.max(previous.seconds, seconds);
+      continue;
+    }
+    if (sentence) previous.inflection = sentence.includes('?') ? 0.12 : -0.08;
+    segments.push({ type: 'pause', seconds });
+  }
+  while (segments.at(-1)?.type === 'pause') segments.pop();
+  return segments;
+}
+
+/**
+ * Seconds of audio synthesizeSpeech() produces for a line
+ */
+export function speechDuration(text, { speed = 1 } = {}) {
+  const segments = speechSegments(text);
+  let seconds = 0;
+  segments.forEach((s, i) => {
+    if (s.type === 'pause') seconds += s.seconds;
+    else seconds += s.syllables * SYLLABLE_SECONDS + (segments[i + 1]?.type === 'word' ? WORD_GAP_SECONDS : 0);
+  });
+  return seconds / speed + 2 * EDGE_SECONDS;
+}
+
+function writeSyllable(samples, start, length, frequency) {
+  const attack = Math.round(ATTACK_SECONDS * STEM_SAMPLE_RATE);
+  const release = Math.round(RELEASE_SECONDS * STEM_SAMPLE_RATE);
+  for (let i = 0; i < length && start + i < samples.length; i++) {
+    const envelope = Math.min(1, i / attack, (length - i) / release);
+    const phase = 2 * Math.PI * frequency * (i / STEM_SAMPLE_RATE);
+    samples[start + i] = AMPLITUDE * envelope *
+      (Math.sin(phase) + 0.5 * Math.sin(2 * phase) + 0.25 * Math.sin(3 * phase)) / 1.75;
+  }
+}
+
+/**
+ * Synthesize a line as 48 kHz stereo 16-bit WAV
+ * @param {string} text - Line text
+ * @param {Object} voice - {voice_id, params_json: {speed?}}
+ * @returns {Buffer}
+ */
+export function synthesizeSpeech(text, voice) {
+  const speed = voice.params_json?.speed || 1;
+  const basePitch = 110 + (seed(voice.voice_id) % 140);
+  const samples = new Float32Array(Math.round(speechDuration(text, { speed }) * STEM_SAMPLE_RATE));
+  const toSamples = (seconds) => Math.round((seconds / speed) * STEM_SAMPLE_RATE);
+
+  const segments = speechSegments(text);
+  let cursor = Math.round(EDGE_SECONDS * STEM_SAMPLE_RATE);
+  segments.forEach((s, i) => {
+    if (s.type === 'pause') {
+      cursor += toSamples(s.seconds);
+      return;
+    }
+    for (let n = 0; n < s.syllables; n++) {
+      const variation = ((seed(`${voice.voice_id}:${s.word}:${n}`) % 21) - 10) / 100;
+      const inflection = n === s.syllables - 1 ? s.inflection : 0;
+      const length = toSamples(SYLLABLE_SECONDS);
+      writeSyllable(samples, cursor, length, basePitch * (1 + variation + inflection));
+      cursor += length;
+    }
+    if (segments[i + 1]?.type === 'word') cursor += toSamples(WORD_GAP_SECONDS);
+  });
+
+  return encodeWav(samples);
+}
@@ -0,0 +1,560 @@
+// lib/openapi.js
+import { z } from 'zod';
+import {
+  VoiceSettings,
+  DialogueLine,
+  Scene,
+  DirectorJSON,
+  FailurePolicy,
+  Alignment,
+  Timeline,
+  MixManifest,
+  SceneRenderBody,
+  JobParams,
+  ProjectParams,
+  ProjectSceneParams,
+  ArtifactParams,
+  DownloadQuery,
+  RenderQuery,
+  DeliveryQuery,
+  TtsProviderName,
+  TtsProviderParams,
+  CatalogType,
+  CatalogQuery,
+  CatalogTrackParams,
+  CatalogUploadBody
+} from './zod-schemas.js';
+
+/**
+ * OpenAPI 3 document generated from the zod schemas in lib/zod-schemas.js
+ * Served at GET /openapi.json
+ */
+
+// Response shapes (documentation only)
+const ValidationError = z.object({
+  error: z.string(),
+  issues: z.array(z.object({
+    location: z.enum(['params', 'query', 'body']),
+    path: z.string(),
+    message: z.string(),
+    code: z.string()
+  }))
+});
+
+const ErrorResponse = z.object({
+  error: z.string(),
+  message: z.string().optional()
+});
+
+const DegradedScene = z.object({
+  scene_id: z.string(),
+  scene_index: z.number().int(),
+  skipped: z.boolean(),
+  issues: z.array(z.object({
+    stage: z.enum(['tts', 'cues', 'mix', 'scene']),
+    action: z.enum(['silence', 'dropped_tracks', 'dialogue_only', 'skipped']),
+    message: z.string(),
+    line_id: z.string().optional(),
+    track_ids: z.array(z.string()).optional()
+  }))
+});
+
+const PlaybackManifest = z.object({
+  project_id: z.string(),
+  order: z.array(z.object({
+    scene_id: z.string(),
+    offset: z.number(),
+    duration: z.number()
+  })),
+  total: z.number(),
+  public_url: z.string().nullable(),
+  public_url_expires_at: z.string().optional(),
+  failure_policy: FailurePolicy.optional(),
+  degraded: z.array(DegradedScene).optional()
+});
+
+const BuildReport = z.object({
+  scenes: z.array(z.object({
+    scene_id: z.string(),
+    reused: z.array(z.enum(['tts', 'align', 'timeline', 'mix'])),
+    rebuilt: z.array(z.enum(['tts', 'align', 'timeline', 'mix']))
+  }))
+});
+
+const JobAccepted = z.object({
+  job_id: z.string().uuid(),
+  state: z.string(),
+  status_url: z.string()
+});
+
+const Job = z.object({
+  id: z.string().uuid(),
+  kind: z.enum(['episode', 'scene']),
+  tenant_id: z.string().nullable(),
+  project_id: z.string(),
+  state: z.enum(['queued', 'running', 'failed', 'done', 'cancelled']),
+  step: z.string().nullable(),
+  scenes: z.array(z.object({
+    scene_id: z.string(),
+    scene_index: z.number().nullable(),
+    step: z.string()
+  })),
+  percent: z.number(),
+  result: z.object({
+    audio_urls: z.array(z.string().nullable()),
+    manifest: PlaybackManifest,
+    degraded: z.array(DegradedScene),
+    build: BuildReport
+  }).nullable(),
+  error: z.object({ message: z.string() }).nullable(),
+  created_at: z.string(),
+  updated_at: z.string(),
+  started_at: z.string().nullable(),
+  finished_at: z.string().nullable(),
+  last_event: z.record(z.any()).nullable()
+});
+
+const WebhookDelivery = z.object({
+  id: z.string().uuid(),
+  job_id: z.string().uuid().nullable(),
+  tenant_id: z.string().nullable(),
+  project_id: z.string(),
+  event: z.enum(['render.completed', 'render.failed', 'render.cancelled']),
+  url: z.string().url(),
+  status: z.enum(['pending', 'delivered', 'failed']),
+  attempts: z.array(z.object({
+    at: z.string(),
+    status_code: z.number().int().nullable(),
+    error: z.string().nullable(),
+    duration_ms: z.number().nullable()
+  })),
+  created_at: z.string(),
+  updated_at: z.string(),
+  delivered_at: z.string().nullable()
+});
+
+const CatalogTrack = z.object({
+  id: z.string(),
+  type: CatalogType,
+  filename: z.string(),
+  tags: z.array(z.string()),
+  variant: z.number().int().nullable(),
+  instruments: z.array(z.string()).optional(),
+  mood: z.string().nullable().optional(),
+  duration: z.number().nullable(),
+  lufs_i: z.number().nullable(),
+  true_peak_db: z.number().nullable(),
+  // false until the background index has measured the track
+  indexed: z.boolean().optional(),
+  preview_url: z.string()
+});
+
+const TtsProvider = z.object({
+  name: TtsProviderName,
+  label: z.string(),
+  configured: z.boolean(),
+  max_text_length: z.number().int(),
+  cost_per_character: z.number(),
+  default_voice: z.string()
+});
+
+const TtsVoice = z.object({
+  voice_id: z.string(),
+  name: z.string(),
+  labels: z.record(z.string()).optional()
+});
+
+const ProjectSummary = z.object({
+  project_id: z.string(),
+  files: z.number().int(),
+  bytes: z.number().int(),
+  created_at: z.string().nullable(),
+  updated_at: z.string().nullable(),
+  episode: z.object({
+    duration: z.number().nullable(),
+    scenes: z.number().int(),
+    public_url: z.string().nullable()
+  }).nullable(),
+  stems: z.object({ count: z.number().int(), bytes: z.number().int() })
+});
+
+const Project = ProjectSummary.extend({
+  artifacts: z.array(z.object({
+    path: z.string(),
+    size: z.number().int(),
+    created_at: z.string(),
+    modified_at: z.string(),
+    duration: z.number().nullable()
+  })),
+  stem_files: z.array(z.object({ key: z.string(), size: z.number().int(), created_at: z.string() }))
+});
+
+// Named schemas are emitted once under components.schemas and referenced with $ref
+const NAMED = new Map([
+  [VoiceSettings, 'VoiceSettings'],
+  [DialogueLine, 'DialogueLine'],
+  [Scene, 'Scene'],
+  [DirectorJSON, 'DirectorJSON'],
+  [Alignment, 'Alignment'],
+  [Timeline, 'Timeline'],
+  [MixManifest, 'MixManifest'],
+  [SceneRenderBody, 'SceneRenderBody'],
+  [PlaybackManifest, 'PlaybackManifest'],
+  [DegradedScene, 'DegradedScene'],
+  [Job, 'Job'],
+  [JobAccepted, 'JobAccepted'],
+  [WebhookDelivery, 'WebhookDelivery'],
+  [CatalogTrack, 'CatalogTrack'],
+  [TtsProvider, 'TtsProvider'],
+  [TtsVoice, 'TtsVoice'],
+  [ProjectSummary, 'ProjectSummary'],
+  [Project, 'Project'],
+  [ValidationError, 'ValidationError'],
+  [ErrorResponse, 'Error']
+]);
+
+/**
+ * Convert a zod schema to an OpenAPI 3 (JSON Schema subset) object
+ * Covers the zod types used in this service
+ */
+export function zodToOpenApi(schema, { useRefs = true } = {}) {
+  if (useRefs && NAMED.has(schema)) {
+    return { $ref: `#/components/schemas/${NAMED.get(schema)}` };
+  }
+
+  const def = schema._def;
+  const child = (s) => zodToOpenApi(s);
+
+  switch (def.typeName) {
+    case 'ZodObject': {
+      const properties = {};
+      const required = [];
+      for (const [key, value] of Object.entries(schema.shape)) {
+        properties[key] = child(value);
+        if (!value.isOptional()) required.push(key);
+      }
+      return { type: 'object', properties, ...(required.length && { required }) };
+    }
+    case 'ZodString': {
+      const out = { type: 'string' };
+      for (const check of def.checks) {
+        if (check.kind === 'min') out.minLength = check.value;
+        if (check.kind === 'max') out.maxLength = check.value;
+        if (check.kind === 'uuid') out.format = 'uuid';
+        if (check.kind === 'url') out.format = 'uri';
+        if (check.kind === 'regex') out.pattern = check.regex.source;
+      }
+      return out;
+    }
+    case 'ZodNumber': {
+      const out = { type: def.checks.some(c => c.kind === 'int') ? 'integer' : 'number' };
+      for (const check of def.checks) {
+        if (check.kind === 'min') out[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+        if (check.kind === 'max') out[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+      }
+      return out;
+    }
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+    case 'ZodArray':
+      return { type: 'array', items: child(def.type) };
+    case 'ZodEnum':
+      return { type: 'string', enum: def.values };
+    case 'ZodLiteral':
+      return { type: typeof def.value, enum: [def.value] };
+    case 'ZodUnion':
+      return { oneOf: def.options.map(child) };
+    case 'ZodRecord':
+      return { type: 'object', additionalProperties: child(def.valueType) };
+    case 'ZodOptional':
+      return child(def.innerType);
+    case 'ZodNullable':
+      return { ...child(def.innerType), nullable: true };
+    case 'ZodDefault':
+      return { ...child(def.innerType), default: def.defaultValue() };
+    case 'ZodEffects':
+      return child(def.schema);
+    default:
+      return {};
+  }
+}
+
+// Path/query parameters from a zod object schema
+function parameters(schema, location) {
+  return Object.entries(schema.shape).map(([name, value]) => ({
+    name,
+    in: location,
+    required: location === 'path' || !value.isOptional(),
+    schema: zodToOpenApi(value)
+  }));
+}
+
+const json = (schema, description) => ({
+  description,
+  content: { 'application/json': { schema: zodToOpenApi(schema) } }
+});
+
+const jsonBody = (schema) => ({
+  required: true,
+  content: { 'application/json': { schema: zodToOpenApi(schema) } }
+});
+
+const common = {
+  401: json(ErrorResponse, 'Missing or invalid API key'),
+  403: json(ErrorResponse, 'Tenant disabled or resource owned by another tenant'),
+  422: json(ValidationError, 'Request failed schema validation')
+};
+
+export function buildOpenApiDocument() {
+  const schemas = {};
+  for (const [schema, name] of NAMED) {
+    schemas[name] = zodToOpenApi(schema, { useRefs: false });
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Story Magic Orchestrator',
+      version: process.env.npm_package_version || '1.0.0',
+      description: 'Audio production pipeline for Story Magic - converts Director JSON into mixed episode audio'
+    },
+    components: {
+      schemas,
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    },
+    security: [{ ApiKey: [] }],
+    paths: {
+      '/health': {
+        get: {
+          summary: 'Health check',
+          security: [],
+          responses: { 200: { description: 'Service is up' } }
+        }
+      },
+      '/ready': {
+        get: {
+          summary: 'Readiness: ffmpeg/ffprobe, whisper.cpp, catalog, TTS provider, writable stems/output directories, Supabase',
+          security: [],
+          responses: {
+            200: { description: 'Ready (status ready or degraded) with per-check report' },
+            503: { description: 'A required check failed' }
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          security: [],
+          responses: { 200: { description: 'OpenAPI 3 document' } }
+        }
+      },
+      '/metrics': {
+        get: {
+          summary: 'Prometheus metrics (bearer METRICS_TOKEN when configured)',
+          security: [],
+          responses: {
+            200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+            401: json(ErrorResponse, 'Missing or invalid metrics token')
+          }
+        }
+      },
+      '/usage': {
+        get: {
+          summary: 'Usage counters and limits for the calling tenant',
+          responses: { 200: { description: 'Usage report' }, 401: common[401] }
+        }
+      },
+      '/orchestrate': {
+        post: {
+          summary: 'Render a Director JSON synchronously',
+          parameters: parameters(RenderQuery, 'query'),
+          requestBody: jsonBody(DirectorJSON),
+          responses: {
+            200: { description: 'Rendered episode (status, project_id, audio_urls, playback_manifest, degraded, build)' },
+            ...common,
+            429: json(ErrorResponse, 'Quota exceeded'),
+            500: json(ErrorResponse, 'Render failed')
+          }
+        }
+      },
+      '/plan': {
+        post: {
+          summary: 'Dry run: validate tracks, voices and TTS cache and estimate duration',
+          requestBody: jsonBody(DirectorJSON),
+          responses: { 200: { description: 'Plan report' }, ...common }
+        }
+      },
+      '/jobs': {
+        post: {
+          summary: 'Queue a Director JSON render',
+          parameters: parameters(RenderQuery, 'query'),
+          requestBody: jsonBody(DirectorJSON),
+          responses: { 202: json(JobAccepted, 'Job queued'), ...common, 429: json(ErrorResponse, 'Quota exceeded') }
+        }
+      },
+      '/jobs/{id}': {
+        get: {
+          summary: 'Job status',
+          parameters: parameters(JobParams, 'path'),
+          responses: { 200: json(Job, 'Job'), ...common, 404: json(ErrorResponse, 'Unknown job') }
+        },
+        delete: {
+          summary: 'Cancel a queued or running job',
+          parameters: parameters(JobParams, 'path'),
+          responses: {
+            202: { description: 'Cancellation requested' },
+            ...common,
+            404: json(ErrorResponse, 'Unknown job'),
+            409: json(ErrorResponse, 'Job already finished')
+          }
+        }
+      },
+      '/jobs/{id}/events': {
+        get: {
+          summary: 'Server-Sent Events stream of job progress',
+          parameters: parameters(JobParams, 'path'),
+          responses: {
+            200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            ...common,
+            404: json(ErrorResponse, 'Unknown job')
+          }
+        }
+      },
+      '/projects': {
+        get: {
+          summary: 'Projects with rendered output, most recently updated first',
+          responses: { 200: json(z.object({ projects: z.array(ProjectSummary) }), 'Projects'), ...common }
+        }
+      },
+      '/projects/{project_id}': {
+        get: {
+          summary: 'Artifacts (size, duration, timestamps) and TTS stems of a project',
+          parameters: parameters(ProjectParams, 'path'),
+          responses: { 200: json(Project, 'Project'), ...common, 404: json(ErrorResponse, 'Unknown project') }
+        },
+        delete: {
+          summary: 'Delete local output, TTS stems and Supabase objects of a project',
+          parameters: parameters(ProjectParams, 'path'),
+          responses: {
+            200: { description: 'Removal report (outputs, stems, supabase_audio_objects)' },
+            ...common,
+            404: json(ErrorResponse, 'Unknown project'),
+            409: json(ErrorResponse, 'A job is rendering into the project')
+          }
+        }
+      },
+      '/projects/{project_id}/scenes/{scene_id}/render': {
+        post: {
+          summary: 'Re-render one scene and re-export the episode',
+          parameters: parameters(ProjectSceneParams, 'path'),
+          requestBody: jsonBody(SceneRenderBody),
+          responses: {
+            202: json(JobAccepted, 'Job queued'),
+            ...common,
+            404: json(ErrorResponse, 'Project or scene not rendered'),
+            429: json(ErrorResponse, 'Quota exceeded')
+          }
+        }
+      },
+      '/webhooks/deliveries': {
+        get: {
+          summary: 'Webhook delivery log (callback_url notifications), newest first',
+          parameters: parameters(DeliveryQuery, 'query'),
+          responses: {
+            200: json(z.object({ deliveries: z.array(WebhookDelivery) }), 'Deliveries'),
+            ...common
+          }
+        }
+      },
+      '/tts/providers': {
+        get: {
+          summary: 'TTS providers with text limits, cost per character and configuration state',
+          responses: {
+            200: json(z.object({
+              default: TtsProviderName,
+              fallback: TtsProviderName.nullable(),
+              providers: z.array(TtsProvider)
+            }), 'Providers'),
+            ...common
+          }
+        }
+      },
+      '/tts/providers/{provider}/voices': {
+        get: {
+          summary: 'Voices offered by a TTS provider',
+          parameters: parameters(TtsProviderParams, 'path'),
+          responses: {
+            200: json(z.object({ provider: TtsProviderName, count: z.number().int(), voices: z.array(TtsVoice) }), 'Voices'),
+            ...common,
+            502: json(ErrorResponse, 'Provider unavailable or rejected the request')
+          }
+        }
+      },
+      '/catalog': {
+        get: {
+          summary: 'Catalog tracks with filename tags, duration and loudness',
+          parameters: parameters(CatalogQuery, 'query'),
+          responses: {
+            200: json(z.object({ count: z.number().int(), indexing: z.boolean(), tracks: z.array(CatalogTrack) }), 'Tracks'),
+            ...common
+          }
+        },
+        post: {
+          summary: 'Upload a track: probed, transcoded to WAV 48 kHz stereo and named <prefix>_<tags>_NN',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  ...zodToOpenApi(CatalogUploadBody),
+                  properties: {
+                    ...zodToOpenApi(CatalogUploadBody).properties,
+                    file: { type: 'string', format: 'binary' }
+                  },
+                  required: ['type', 'file']
+                }
+              }
+            }
+          },
+          responses: {
+            201: json(CatalogTrack, 'Ingested track'),
+            ...common,
+            413: json(ErrorResponse, 'File too large')
+          }
+        }
+      },
+      '/catalog/{type}/{filename}/preview': {
+        get: {
+          summary: 'Short faded preview clip of a catalog track (mono MP3, 64 kbps)',
+          parameters: parameters(CatalogTrackParams, 'path'),
+          responses: {
+            200: { description: 'Preview', content: { 'audio/mpeg': { schema: { type: 'string', format: 'binary' } } } },
+            ...common,
+            404: json(ErrorResponse, 'Track not found')
+          }
+        }
+      },
+      '/download/{project_id}/{filename}': {
+        get: {
+          summary: 'Download an artifact (supports HTTP Range)',
+          parameters: [...parameters(ArtifactParams, 'path'), ...parameters(DownloadQuery, 'query')],
+          responses: {
+            200: { description: 'File' },
+            206: { description: 'Partial content' },
+            ...common,
+            404: json(ErrorResponse, 'File not found')
+          }
+        }
+      },
+      '/download-link/{project_id}/{filename}': {
+        get: {
+          summary: 'Mint a signed, expiring download link',
+          parameters: parameters(ArtifactParams, 'path'),
+          responses: { 200: { description: '{url, expires_at}' }, ...common, 404: json(ErrorResponse, 'File not found') }
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,213 @@
+// lib/projects.js
+import fs from 'fs';
+import path from 'path';
+import pLimit from 'p-limit';
+import { audioDurationSec } from './audio.js';
+import { resolveProjectDir } from './downloads.js';
+import { listProjectStems, deleteProjectStems, deleteProjectAudio } from './storage.js';
+import { TenantError } from './tenants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('projects');
+
+/**
+ * Project artifact inventory, ownership and cleanup
+ * A project's artifacts are everything under output/<project_id> plus its
+ * TTS stems in data/stems (and their Supabase copies)
+ *
+ * The tenant that first renders a project owns it (data/project_owners.json);
+ * only that tenant can list, download, re-render or delete it. With
+ * authentication disabled no owners are recorded and every project is open.
+ */
+
+const outputBase = path.join(process.cwd(), 'output');
+const ownersPath = path.join(process.cwd(), 'data', 'project_owners.json');
+const AUDIO_EXTENSIONS = new Set(['.m4a', '.wav', '.mp3']);
+const probeLimit = pLimit(2);
+
+function projectIds() {
+  if (!fs.existsSync(outputBase)) return [];
+  return fs.readdirSync(outputBase, { withFileTypes: true })
+    .filter(d => d.isDirectory())
+    .map(d => d.name);
+}
+
+// All files under dir, with paths relative to root
+function walk(dir, root = dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walk(full, root));
+    } else if (entry.isFile()) {
+      const stat = fs.statSync(full);
+      files.push({
+        path: path.relative(root, full).split(path.sep).join('/'),
+        full,
+        size: stat.size,
+        created_at: (stat.birthtimeMs ? stat.birthtime : stat.mtime).toISOString(),
+        modified_at: stat.mtime.toISOString()
+      });
+    }
+  }
+  return files;
+}
+
+function readManifest(projectDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(projectDir, 'manifest.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function summarize(project_id, files, stems, manifest) {
+  const times = files.map(f => f.created_at).sort();
+  const modified = files.map(f => f.modified_at).sort();
+  return {
+    project_id,
+    files: files.length,
+    bytes: files.reduce((n, f) => n + f.size, 0),
+    created_at: times[0] || null,
+    updated_at: modified.at(-1) || null,
+    episode: manifest
+      ? { duration: manifest.total ?? null, scenes: manifest.order?.length ?? 0, public_url: manifest.public_url ?? null }
+      : null,
+    stems: { count: stems.length, bytes: stems.reduce((n, s) => n + s.size, 0) }
+  };
+}
+
+function readOwners() {
+  try {
+    return JSON.parse(fs.readFileSync(ownersPath, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// Write via temp file + rename so a crash never leaves a half-written map
+function writeOwners(owners) {
+  fs.mkdirSync(path.dirname(ownersPath), { recursive: true });
+  const tmp = `${ownersPath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(owners, null, 2));
+  fs.renameSync(tmp, ownersPath);
+}
+
+/**
+ * Tenant that owns a project, or null if none is recorded
+ */
+export function getProjectOwner(project_id) {
+  return readOwners()[project_id] ?? null;
+}
+
+/**
+ * Whether a tenant may see and change a project (tenant null: authentication is disabled)
+ * Projects without a recorded owner (rendered while authentication was disabled)
+ * are closed to every tenant until one is assigned in data/project_owners.json
+ */
+export function canAccessProject(project_id, tenant) {
+  return !tenant || getProjectOwner(project_id) === tenant.id;
+}
+
+/**
+ * Record a tenant as the owner of a project it is about to render
+ * A new project is claimed; an owned project must belong to the tenant
+ * @throws {TenantError} 403 if another tenant owns the project, or it already has
+ *   output without a recorded owner
+ */
+export function claimProject(project_id, tenant) {
+  if (!tenant) return;
+  const owners = readOwners();
+  const owner = owners[project_id];
+  if (owner === tenant.id) return;
+  if (owner != null) {
+    throw new TenantError(`Project ${project_id} belongs to another tenant`, 403);
+  }
+  const dir = resolveProjectDir(project_id);
+  if (dir && fs.existsSync(dir)) {
+    throw new TenantError(`Project ${project_id} has output but no recorded owner`, 403);
+  }
+  owners[project_id] = tenant.id;
+  writeOwners(owners);
+}
+
+function releaseProject(project_id) {
+  const owners = readOwners();
+  if (!(project_id in owners)) return;
+  delete owners[project_id];
+  writeOwners(owners);
+}
+
+/**
+ * Summaries of every project with rendered output, most recently updated first
+ * @param {Object} tenant - Only this tenant's projects (null: all projects)
+ */
+export function listProjects(tenant = null) {
+  const ids = projectIds();
+  return ids
+    .filter(id => canAccessProject(id, tenant))
+    .map(id => {
+      const dir = path.join(outputBase, id);
+      return summarize(id, walk(dir), listProjectStems(id, ids), readManifest(dir));
+    })
+    .sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''));
+}
+
+/**
+ * Full inventory of one project: every output file (audio files with their duration) and its stems
+ * @returns {Promise<Object|null>} null if the project has neither output nor stems
+ */
+export async function getProject(project_id) {
+  const dir = resolveProjectDir(project_id);
+  if (!dir) return null;
+
+  const files = fs.existsSync(dir) ? walk(dir) : [];
+  const stems = listProjectStems(project_id, projectIds());
+  if (files.length === 0 && stems.length === 0) return null;
+
+  const artifacts = await Promise.all(files.map(f => probeLimit(async () => ({
+    path: f.path,
+    size: f.size,
+    created_at: f.created_at,
+    modified_at: f.modified_at,
+    duration: AUDIO_EXTENSIONS.has(path.extname(f.path).toLowerCase())
+      ? await audioDurationSec(f.full).then(d => Math.round(d * 100) / 100).catch(() => null)
+      : null
+  }))));
+
+  return {
+    ...summarize(project_id, files, stems, readManifest(dir)),
+    artifacts,
+    stem_files: stems.map(({ key, size, created_at }) => ({ key, size, created_at }))
+  };
+}
+
+/**
+ * Delete a project's local output, its stems and the matching Supabase objects,
+ * and release its owner record
+ * Voice assignments (voice_map) are kept so a re-render sounds the same
+ * @returns {Promise<Object|null>} What was removed, or null if the project does not exist
+ */
+export async function deleteProject(project_id) {
+  const dir = resolveProjectDir(project_id);
+  if (!dir) return null;
+
+  const others = projectIds();
+  const files = fs.existsSync(dir) ? walk(dir) : [];
+  if (files.length === 0 && listProjectStems(project_id, others).length === 0 && !fs.existsSync(dir)) {
+    return null;
+  }
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  const stems = await deleteProjectStems(project_id, others);
+  const remoteAudio = await deleteProjectAudio(project_id);
+  releaseProject(project_id);
+
+  log.info(`🗑️  Deleted project ${project_id}: ${files.length} output files, ${stems.local} stems`);
+  return {
+    project_id,
+    outputs: { files: files.length, bytes: files.reduce((n, f) => n + f.size, 0) },
+    stems,
+    supabase_audio_objects: remoteAudio
+  };
+}
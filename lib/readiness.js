@@ -0,0 +1,121 @@
+// lib/readiness.js
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { execa } from 'execa';
+import ffmpegPath from 'ffmpeg-static';
+import ffprobePkg from 'ffprobe-static';
+import { CATALOG_TYPES } from './catalog-loader.js';
+import { defaultProviderName, getTtsProvider } from './tts-providers.js';
+
+/**
+ * Readiness checks behind GET /ready
+ * Unlike /health, these exercise the toolchain and storage the pipeline needs.
+ * Required checks failing make the service not ready (503); optional ones
+ * (whisper.cpp, which has a duration-based fallback) only mark it degraded.
+ */
+
+const CHECK_TIMEOUT_MS = 5000;
+
+// First line of `<binary> -version`, e.g. "ffmpeg version 6.0-static ..."
+async function binaryVersion(binary) {
+  if (!binary) throw new Error('binary path not resolved (package not installed?)');
+  const { stdout } = await execa(binary, ['-version'], { timeout: CHECK_TIMEOUT_MS });
+  return stdout.split('\n')[0].trim();
+}
+
+async function checkWhisper() {
+  const binary = process.env.WHISPER_CPP_PATH || 'whisper';
+  const model = process.env.WHISPER_MODEL_PATH || 'models/ggml-base.en.bin';
+
+  if (binary !== 'whisper' && !fs.existsSync(binary)) {
+    throw new Error(`whisper binary not found at ${binary}`);
+  }
+  const { failed, exitCode, code } = await execa(binary, ['--help'], { timeout: CHECK_TIMEOUT_MS, reject: false });
+  if (failed && exitCode == null) {
+    throw new Error(`whisper binary ${binary} could not be run (${code || 'timeout'})`);
+  }
+  if (!fs.existsSync(model)) {
+    throw new Error(`whisper model not found at ${model}`);
+  }
+  return `${binary} with model ${model}`;
+}
+
+function checkCatalog() {
+  const counts = {};
+  for (const type of CATALOG_TYPES) {
+    const dir = path.join('catalog', type);
+    counts[type] = fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter(f => /\.(mp3|wav|m4a)$/i.test(f)).length
+      : 0;
+  }
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  if (total === 0) throw new Error('catalog is empty');
+  return counts;
+}
+
+// Create the directory if needed, then write and remove a probe file
+function checkWritable(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const probe = path.join(dir, `.ready-${crypto.randomUUID()}`);
+  fs.writeFileSync(probe, 'ok');
+  fs.rmSync(probe, { force: true });
+  return dir;
+}
+
+// The provider new voices are cast for (TTS_PROVIDER) must have its key / base URL set
+function checkTtsProvider(name) {
+  const provider = getTtsProvider(name);
+  if (!provider.configured()) throw new Error(`${provider.label} is not configured (missing API key)`);
+  return provider.label;
+}
+
+async function checkSupabase() {
+  const res = await fetch(`${process.env.SUPABASE_URL.replace(/\/+$/, '')}/auth/v1/health`, {
+    headers: { apikey: process.env.SUPABASE_ANON_KEY },
+    signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error(`Supabase responded ${res.status}`);
+  return `reachable (${res.status})`;
+}
+
+async function runCheck(name, required, fn) {
+  const started = Date.now();
+  try {
+    const detail = await fn();
+    return { name, ok: true, required, duration_ms: Date.now() - started, detail };
+  } catch (err) {
+    return { name, ok: false, required, duration_ms: Date.now() - started, error: err.shortMessage || err.message };
+  }
+}
+
+/**
+ * Run every readiness check in parallel
+ * @returns {Promise<Object>} { status: 'ready'|'degraded'|'not_ready', ready, failed: [check names], checks: [{name, ok, required, duration_ms, detail|error}] }
+ */
+export async function checkReadiness() {
+  const supabaseConfigured = !!(process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY);
+
+  const checks = await Promise.all([
+    runCheck('ffmpeg', true, () => binaryVersion(ffmpegPath)),
+    runCheck('ffprobe', true, () => binaryVersion(ffprobePkg.path)),
+    runCheck('whisper', false, checkWhisper),
+    runCheck('catalog', true, checkCatalog),
+    runCheck('tts_provider', true, () => checkTtsProvider(defaultProviderName())),
+    ...(process.env.TTS_FALLBACK_PROVIDER
+      ? [runCheck('tts_fallback_provider', false, () => checkTtsProvider(process.env.TTS_FALLBACK_PROVIDER))]
+      : []),
+    runCheck('stems_dir', true, () => checkWritable(path.join(process.cwd(), 'data', 'stems'))),
+    runCheck('output_dir', true, () => checkWritable(path.join(process.cwd(), 'output'))),
+    ...(supabaseConfigured ? [runCheck('supabase', true, checkSupabase)] : [])
+  ]);
+
+  const ready = checks.every(c => c.ok || !c.required);
+  const degraded = checks.some(c => !c.ok);
+  return {
+    status: !ready ? 'not_ready' : degraded ? 'degraded' : 'ready',
+    ready,
+    failed: checks.filter(c => !c.ok).map(c => c.name),
+    checks
+  };
+}
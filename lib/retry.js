@@ -1,4 +1,8 @@
 // lib/retry.js
+import { retries } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('retry');
 
 /**
  * Exponential backoff retry wrapper with jitter
@@ -26,6 +30,8 @@ export class RetryableError extends Error {
  * @param {number} options.maxDelayMs - Maximum delay in ms (default: 10000)
  * @param {number} options.jitterFactor - Jitter factor 0-1 (default: 0.2)
  * @param {number[]} options.retryableStatuses - HTTP status codes to retry (default: [429, 500, 502, 503, 504])
+ * @param {AbortSignal} options.signal - Stops further attempts and interrupts the backoff wait
+ * @param {string} options.operation - Label for the storymagic_retries_total metric (default: 'unknown')
  * @returns {Promise<T>} Result of the function
  */
 export async function withRetry(fn, options = {}) {
@@ -34,12 +40,16 @@ export async function withRetry(fn, options = {}) {
     initialDelayMs = 1000,
     maxDelayMs = 10000,
     jitterFactor = 0.2,
-    retryableStatuses = [429, 500, 502, 503, 504]
+    retryableStatuses = [429, 500, 502, 503, 504],
+    signal,
+    operation = 'unknown'
   } = options;
 
   let lastError;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    signal?.throwIfAborted();
+
     try {
       return await fn();
     } catch (err) {
@@ -65,14 +75,31 @@ export async function withRetry(fn, options = {}) {
       const jitter = baseDelay * jitterFactor * (Math.random() * 2 - 1);
       const delay = Math.max(0, baseDelay + jitter);
 
-      console.warn(
+      log.warn(
         `[Retry] Attempt ${attempt + 1}/${maxRetries} failed (status: ${status}). ` +
         `Retrying in ${Math.round(delay)}ms...`
       );
 
-      await new Promise(resolve => setTimeout(resolve, delay));
+      retries.inc({ operation });
+      await sleep(delay, signal);
     }
   }
 
   throw lastError;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
\ No newline at end of file
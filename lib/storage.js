@@ -1,12 +1,35 @@
 import { createClient } from '@supabase/supabase-js';
 import fs from 'fs';
 import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('storage');
 
 const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
   ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY)
   : null;
 
 const localBase = path.join(process.cwd(), 'data', 'stems');
+// Which project wrote each stem: {<key>: <project_id>} (see isProjectStem)
+const indexPath = path.join(process.cwd(), 'data', 'stem_index.json');
+let stemIndex = null;
+
+function readStemIndex() {
+  if (stemIndex) return stemIndex;
+  try {
+    stemIndex = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  } catch {
+    stemIndex = {};
+  }
+  return stemIndex;
+}
+
+function writeStemIndex() {
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  const tmp = `${indexPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(stemIndex));
+  fs.renameSync(tmp, indexPath);
+}
 
 // Read stem by cache key
 export async function readStemByKey(key) {
@@ -32,7 +55,7 @@ export async function readStemByKey(key) {
       
       return { path: localPath };
     } catch (err) {
-      console.error('Supabase download error:', err);
+      log.error('Supabase download error', err);
       return null;
     }
   }
@@ -48,6 +71,10 @@ export async function writeStem(project_id, scene_id, line_id, wavBuffer, key) {
   // Write locally
   fs.mkdirSync(path.dirname(localPath), { recursive: true });
   fs.writeFileSync(localPath, wavBuffer);
+  if (readStemIndex()[filename] !== project_id) {
+    stemIndex[filename] = project_id;
+    writeStemIndex();
+  }
   
   // Upload to Supabase if available
   if (supabase) {
@@ -59,9 +86,98 @@ export async function writeStem(project_id, scene_id, line_id, wavBuffer, key) {
           upsert: true
         });
     } catch (err) {
-      console.error('Supabase upload error:', err);
+      log.error('Supabase upload error', err);
     }
   }
   
   return localPath;
-}
\ No newline at end of file
+}
+
+// Stem cache keys start with "<project_id>_" (see ttsKey), which is ambiguous when one
+// project id prefixes another ("ep1" vs "ep1_b"). Stems written through writeStem are
+// attributed by the stem index; older ones by prefix, excluding keys that also match a
+// longer project id in otherProjectIds or the index
+function isProjectStem(name, project_id, otherProjectIds) {
+  const key = name.replace(/\.wav$/, '');
+  const indexed = readStemIndex()[key];
+  if (indexed !== undefined) return indexed === project_id;
+  if (!key.startsWith(`${project_id}_`)) return false;
+  const others = new Set([...otherProjectIds, ...Object.values(stemIndex)]);
+  return ![...others].some(other =>
+    other !== project_id && other.startsWith(`${project_id}_`) && key.startsWith(`${other}_`)
+  );
+}
+
+// List local stems of a project: [{key, path, size, created_at}]
+// otherProjectIds: known project ids, for stems written before the stem index
+export function listProjectStems(project_id, otherProjectIds = []) {
+  if (!fs.existsSync(localBase)) return [];
+
+  return fs.readdirSync(localBase)
+    .filter(f => f.endsWith('.wav') && isProjectStem(f, project_id, otherProjectIds))
+    .map(f => {
+      const stat = fs.statSync(path.join(localBase, f));
+      return {
+        key: f.slice(0, -'.wav'.length),
+        path: path.join(localBase, f),
+        size: stat.size,
+        created_at: stat.mtime.toISOString()
+      };
+    });
+}
+
+// Delete a project's stems locally and from the Supabase 'stems' bucket
+export async function deleteProjectStems(project_id, otherProjectIds = []) {
+  const local = listProjectStems(project_id, otherProjectIds);
+  for (const stem of local) fs.rmSync(stem.path, { force: true });
+
+  let remote = 0;
+  if (supabase) {
+    try {
+      const names = [];
+      for (let offset = 0; ; offset += 1000) {
+        const { data, error } = await supabase.storage
+          .from('stems')
+          .list('', { search: `${project_id}_`, limit: 1000, offset });
+        if (error) throw error;
+        names.push(...data.map(o => o.name).filter(n => isProjectStem(n, project_id, otherProjectIds)));
+        if (data.length < 1000) break;
+      }
+      if (names.length) {
+        const { error } = await supabase.storage.from('stems').remove(names);
+        if (error) throw error;
+      }
+      remote = names.length;
+    } catch (err) {
+      log.error('Supabase stem delete error', err);
+    }
+  }
+
+  const index = readStemIndex();
+  const indexed = Object.keys(index).filter(key => index[key] === project_id);
+  if (indexed.length) {
+    for (const key of indexed) delete index[key];
+    writeStemIndex();
+  }
+
+  return { local: local.length, local_bytes: local.reduce((n, s) => n + s.size, 0), remote };
+}
+
+// Delete a project's episode objects (audio/<project_id>/...) from Supabase
+export async function deleteProjectAudio(project_id) {
+  if (!supabase) return 0;
+
+  try {
+    const { data, error } = await supabase.storage.from('audio').list(project_id, { limit: 1000 });
+    if (error) throw error;
+    const names = data.map(o => `${project_id}/${o.name}`);
+    if (names.length) {
+      const { error: removeError } = await supabase.storage.from('audio').remove(names);
+      if (removeError) throw removeError;
+    }
+    return names.length;
+  } catch (err) {
+    log.error('Supabase audio delete error', err);
+    return 0;
+  }
+}
@@ -0,0 +1,235 @@
+// lib/tenants.js
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('tenants');
+
+/**
+ * API key authentication and per-tenant quotas
+ *
+ * Tenants are configured in TENANTS_FILE (default data/tenants.json):
+ * {
+ *   "tenants": [
+ *     {
+ *       "id": "acme",
+ *       "api_keys": ["sk_live_..."],
+ *       "disabled": false,
+ *       "webhook_secret": "whsec_...",
+ *       "catalog_write": true,
+ *       "limits": { "concurrent_jobs": 2, "tts_chars_per_day": 200000, "render_minutes": 600 }
+ *     }
+ *   ]
+ * }
+ * Omitted limits are unlimited. With no tenants configured, authentication is disabled.
+ * A tenants file that exists but cannot be read or parsed fails closed: every
+ * authenticated request gets 503 until the file is fixed.
+ * catalog_write allows uploading tracks to the shared catalog (POST /catalog).
+ *
+ * Usage counters are stored in data/usage.json.
+ */
+
+const tenantsPath = process.env.TENANTS_FILE || path.join(process.cwd(), 'data', 'tenants.json');
+const usagePath = path.join(process.cwd(), 'data', 'usage.json');
+
+/**
+ * Error for authentication / quota rejections, carries the HTTP status
+ */
+export class TenantError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'TenantError';
+    this.status = status;
+  }
+}
+
+const keyHash = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+let cache = { mtimeMs: -1, byKeyHash: new Map(), byId: new Map(), error: null };
+let warnedOpen = false;
+
+// Re-read the tenants file whenever it changes, so keys can be rotated without a restart
+// A file that exists but cannot be loaded leaves `error` set instead of an empty tenant list
+function loadTenants() {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(tenantsPath).mtimeMs;
+  } catch (err) {
+    if (err.code !== 'ENOENT') return failedLoad(NaN, err);
+  }
+  if (mtimeMs === cache.mtimeMs) return cache;
+
+  const byKeyHash = new Map();
+  const byId = new Map();
+  if (mtimeMs) {
+    try {
+      const { tenants } = JSON.parse(fs.readFileSync(tenantsPath, 'utf8'));
+      if (!Array.isArray(tenants)) throw new Error('"tenants" must be an array');
+      for (const tenant of tenants) {
+        byId.set(tenant.id, tenant);
+        for (const key of tenant.api_keys || []) byKeyHash.set(keyHash(key), tenant);
+      }
+    } catch (err) {
+      return failedLoad(mtimeMs, err);
+    }
+  }
+
+  cache = { mtimeMs, byKeyHash, byId, error: null };
+  return cache;
+}
+
+function failedLoad(mtimeMs, err) {
+  if (!cache.error || !Object.is(cache.mtimeMs, mtimeMs)) {
+    log.error(`❌ Failed to load tenants from ${tenantsPath} - rejecting API requests:`, err.message);
+  }
+  cache = { mtimeMs, byKeyHash: new Map(), byId: new Map(), error: err.message };
+  return cache;
+}
+
+/**
+ * Whether API keys are required: tenants are configured, or the tenants file
+ * exists but cannot be loaded (fail closed)
+ */
+export function authEnabled() {
+  const { byId, error } = loadTenants();
+  return byId.size > 0 || !!error;
+}
+
+export function getTenant(id) {
+  return loadTenants().byId.get(id) || null;
+}
+
+/**
+ * Express middleware: resolve X-API-Key / Authorization: Bearer to req.tenant
+ * 401 for a missing or unknown key, 403 for a disabled tenant, 503 when the
+ * tenants file cannot be loaded
+ */
+export function requireApiKey(req, res, next) {
+  if (loadTenants().error) {
+    return res.status(503).json({ error: 'Service Unavailable', message: 'Tenant configuration could not be loaded' });
+  }
+  if (!authEnabled()) {
+    if (!warnedOpen) {
+      log.warn(`⚠️  No tenants configured (${tenantsPath}) - API key authentication is disabled`);
+      warnedOpen = true;
+    }
+    req.tenant = null;
+    return next();
+  }
+
+  const bearer = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const key = req.get('X-API-Key') || bearer;
+  if (!key) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Missing API key' });
+  }
+
+  const tenant = loadTenants().byKeyHash.get(keyHash(key));
+  if (!tenant) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid API key' });
+  }
+  if (tenant.disabled) {
+    return res.status(403).json({ error: 'Forbidden', message: `Tenant ${tenant.id} is disabled` });
+  }
+
+  req.tenant = tenant;
+  next();
+}
+
+function readUsage() {
+  try {
+    return JSON.parse(fs.readFileSync(usagePath, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function writeUsage(obj) {
+  fs.mkdirSync(path.dirname(usagePath), { recursive: true });
+  fs.writeFileSync(usagePath, JSON.stringify(obj, null, 2));
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Usage counters for a tenant; the daily TTS counter rolls over at UTC midnight
+ */
+export function getUsage(tenant_id) {
+  const row = readUsage()[tenant_id] || {};
+  const sameDay = row.day === today();
+  return {
+    day: today(),
+    tts_chars_today: sameDay ? row.tts_chars_today || 0 : 0,
+    tts_chars_total: row.tts_chars_total || 0,
+    render_minutes_total: row.render_minutes_total || 0,
+    jobs_total: row.jobs_total || 0
+  };
+}
+
+function updateUsage(tenant_id, fn) {
+  const all = readUsage();
+  const usage = getUsage(tenant_id);
+  fn(usage);
+  all[tenant_id] = usage;
+  writeUsage(all);
+  return usage;
+}
+
+export function recordTtsChars(tenant_id, chars) {
+  return updateUsage(tenant_id, u => {
+    u.tts_chars_today += chars;
+    u.tts_chars_total += chars;
+  });
+}
+
+export function recordRender(tenant_id, seconds) {
+  return updateUsage(tenant_id, u => {
+    u.render_minutes_total = Math.round((u.render_minutes_total + seconds / 60) * 100) / 100;
+    u.jobs_total += 1;
+  });
+}
+
+/**
+ * Throw a 429 TenantError if starting a job would exceed the tenant's limits
+ * @param {Object} tenant - Tenant config (null when auth is disabled)
+ * @param {Object} request - {active_jobs, tts_chars} for the job about to start
+ */
+export function assertCanStartJob(tenant, { active_jobs = 0, tts_chars = 0 } = {}) {
+  if (!tenant) return;
+  const limits = tenant.limits || {};
+  const usage = getUsage(tenant.id);
+
+  if (limits.concurrent_jobs != null && active_jobs >= limits.concurrent_jobs) {
+    throw new TenantError(`Concurrent job limit reached (${limits.concurrent_jobs})`, 429);
+  }
+  if (limits.render_minutes != null && usage.render_minutes_total >= limits.render_minutes) {
+    throw new TenantError(`Render minute quota exhausted (${limits.render_minutes} min)`, 429);
+  }
+  if (limits.tts_chars_per_day != null && usage.tts_chars_today + tts_chars > limits.tts_chars_per_day) {
+    throw new TenantError(
+      `Daily TTS character quota exceeded (${usage.tts_chars_today} + ${tts_chars} > ${limits.tts_chars_per_day})`,
+      429
+    );
+  }
+}
+
+/**
+ * TTS quota guard passed to ttsForScene(): check() runs before each
+ * ElevenLabs request, record() after it succeeds
+ */
+export function ttsQuotaFor(tenant_id) {
+  return {
+    check(chars) {
+      const tenant = getTenant(tenant_id);
+      const limit = tenant?.limits?.tts_chars_per_day;
+      if (limit == null) return;
+      const used = getUsage(tenant_id).tts_chars_today;
+      if (used + chars > limit) {
+        throw new TenantError(`Daily TTS character quota exceeded (${used} + ${chars} > ${limit})`, 429);
+      }
+    },
+    record(chars) {
+      recordTtsChars(tenant_id, chars);
+    }
+  };
+}
@@ -0,0 +1,319 @@
+// lib/tts-providers.js
+import { execa } from 'execa';
+import { RetryableError } from './retry.js';
+import { synthesizeSpeech } from './mock-tts.js';
+import { DEFAULT_VOICE } from './db.js';
+import { TtsProviderName, VoiceSettings } from './zod-schemas.js';
+
+/**
+ * TTS provider registry
+ *
+ * A voice_map row's `provider` selects the adapter that speaks its lines. Each adapter:
+ *   name / label         - registry key and display name
+ *   maxTextLength        - longest line the provider accepts
+ *   costPerCharacter     - USD per character (plan estimates)
+ *   configured()         - whether credentials / binaries are set up
+ *   defaultVoice()       - {voice_id, params_json} for characters without a voice_map row
+ *   generate({voice, text, signal}) - audio in any format ffmpeg reads
+ *   listVoices({signal}) - [{voice_id, name, ...}]
+ *   stemFormat           - optional: generate() already returns 48 kHz stereo WAV
+ *   anyVoice             - optional: speaks any voice_id, so selecting it reroutes
+ *                          every line, mapped or not, and writes no voice_map rows
+ *
+ * Adapters only produce audio: retries and the transcode to 48 kHz stereo WAV are
+ * shared (ttsGenerate() in lib/audio.js). TTS_PROVIDER picks the provider for new
+ * voice assignments; TTS_FALLBACK_PROVIDER takes over lines when a provider is down.
+ */
+
+export const TTS_PROVIDERS = TtsProviderName.options;
+
+/**
+ * Provider is not configured or cannot be reached at all (missing key or binary)
+ */
+export class TtsProviderUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TtsProviderUnavailableError';
+  }
+}
+
+// Non-2xx provider response; 429 and 5xx are retried by withRetry
+async function responseError(label, res) {
+  const text = await res.text();
+  return new RetryableError(`${label} TTS failed ${res.status}: ${text}`, res.status, res.status === 429 || res.status >= 500);
+}
+
+const elevenlabs = {
+  name: 'elevenlabs',
+  label: 'ElevenLabs',
+  maxTextLength: 5000,
+  costPerCharacter: parseFloat(process.env.ELEVENLABS_COST_PER_CHAR || '0.0003'),
+
+  configured: () => !!process.env.ELEVENLABS_API_KEY,
+
+  defaultVoice: () => ({ voice_id: DEFAULT_VOICE.voice_id, params_json: { ...DEFAULT_VOICE.params_json } }),
+
+  async generate({ voice, text, signal }) {
+    const apiKey = process.env.ELEVENLABS_API_KEY;
+    if (!apiKey) throw new TtsProviderUnavailableError('ELEVENLABS_API_KEY missing');
+    const request_body = {
+      text,
+      // Settings the voice leaves out (e.g. voice_key lines) keep the house defaults
+      voice_settings: {
+        stability: 0.4,
+        similarity_boost: 0.7,
+        ...voice.params_json
+      },
+      output_format: 'mp3_44100_128'
+    };
+
+    const res = await fetch(
+      `https://api.elevenlabs.io/v1/text-to-speech/${voice.voice_id}/stream?optimize_streaming_latency=0`,
+      {
+        method: 'POST',
+        headers: {
+          'xi-api-key': apiKey,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(request_body),
+        signal
+      }
+    );
+    if (!res.ok) throw await responseError('ElevenLabs', res);
+    return Buffer.from(await res.arrayBuffer());
+  },
+
+  async listVoices({ signal } = {}) {
+    const apiKey = process.env.ELEVENLABS_API_KEY;
+    if (!apiKey) throw new TtsProviderUnavailableError('ELEVENLABS_API_KEY missing');
+    const res = await fetch('https://api.elevenlabs.io/v1/voices', { headers: { 'xi-api-key': apiKey }, signal });
+    if (!res.ok) throw await responseError('ElevenLabs', res);
+    const { voices = [] } = await res.json();
+    return voices.map(v => ({ voice_id: v.voice_id, name: v.name, labels: v.labels || {} }));
+  }
+};
+
+// OpenAI /audio/speech, or any server implementing it (OPENAI_TTS_BASE_URL)
+const OPENAI_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+const openaiBaseUrl = () => (process.env.OPENAI_TTS_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const openaiApiKey = () => process.env.OPENAI_TTS_API_KEY || process.env.OPENAI_API_KEY;
+
+const openai = {
+  name: 'openai',
+  label: 'OpenAI TTS',
+  maxTextLength: 4096,
+  costPerCharacter: parseFloat(process.env.OPENAI_TTS_COST_PER_CHAR || '0.000015'),
+
+  // Self-hosted compatible servers often need no key
+  configured: () => !!(openaiApiKey() || process.env.OPENAI_TTS_BASE_URL),
+
+  defaultVoice: () => ({ voice_id: process.env.OPENAI_TTS_VOICE || 'alloy', params_json: {} }),
+
+  async generate({ voice, text, signal }) {
+    if (!openai.configured()) throw new TtsProviderUnavailableError('OPENAI_TTS_API_KEY missing');
+    const res = await fetch(`${openaiBaseUrl()}/audio/speech`, {
+      method: 'POST',
+      headers: {
+        ...(openaiApiKey() && { Authorization: `Bearer ${openaiApiKey()}` }),
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: process.env.OPENAI_TTS_MODEL || 'tts-1',
+        voice: voice.voice_id,
+        input: text,
+        response_format: 'wav',
+        ...(voice.params_json?.speed && { speed: voice.params_json.speed })
+      }),
+      signal
+    });
+    if (!res.ok) throw await responseError('OpenAI', res);
+    return Buffer.from(await res.arrayBuffer());
+  },
+
+  // The API has no voice listing; compatible servers can name theirs in OPENAI_TTS_VOICES
+  async listVoices() {
+    const names = process.env.OPENAI_TTS_VOICES?.split(',').map(v => v.trim()).filter(Boolean) || OPENAI_VOICES;
+    return names.map(name => ({ voice_id: name, name }));
+  }
+};
+
+// Local engine reading the line on stdin and writing audio to stdout, e.g.
+//   TTS_COMMAND="piper --model models/{voice}.onnx --output_file /dev/stdout"
+// {voice} is replaced by the voice_id. Default: espeak-ng
+const DEFAULT_TTS_COMMAND = 'espeak-ng --stdout --stdin -v {voice}';
+const COMMAND_TIMEOUT_MS = 60000;
+// voice_id comes from the request and becomes an argv entry: no leading dash (option
+// injection) and no path separators (e.g. models/{voice}.onnx)
+const COMMAND_VOICE_ID = /^[A-Za-z0-9][A-Za-z0-9._+:-]{0,63}$/;
+
+const command = {
+  name: 'command',
+  label: 'Local TTS command',
+  maxTextLength: 10000,
+  costPerCharacter: 0,
+
+  configured: () => true,
+
+  defaultVoice: () => ({ voice_id: process.env.TTS_COMMAND_VOICE || 'en-us', params_json: {} }),
+
+  async generate({ voice, text, signal }) {
+    if (!COMMAND_VOICE_ID.test(voice.voice_id)) {
+      throw new RetryableError(`Local TTS: invalid voice_id ${JSON.stringify(voice.voice_id)}`, 400, false);
+    }
+    const [binary, ...args] = (process.env.TTS_COMMAND || DEFAULT_TTS_COMMAND)
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(arg => arg.replaceAll('{voice}', voice.voice_id));
+
+    let stdout;
+    try {
+      ({ stdout } = await execa(binary, args, { input: text, encoding: 'buffer', signal, timeout: COMMAND_TIMEOUT_MS }));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new TtsProviderUnavailableError(`TTS command not found: ${binary}`);
+      throw err;
+    }
+    if (!stdout.length) throw new Error(`TTS command ${binary} produced no audio`);
+    return stdout;
+  },
+
+  async listVoices() {
+    const names = process.env.TTS_COMMAND_VOICES?.split(',').map(v => v.trim()).filter(Boolean) ||
+      [command.defaultVoice().voice_id];
+    return names.map(name => ({ voice_id: name, name }));
+  }
+};
+
+// Offline stand-in for tests and local development (lib/mock-tts.js); costs nothing, needs nothing
+const mock = {
+  name: 'mock',
+  label: 'Mock TTS',
+  maxTextLength: 10000,
+  costPerCharacter: 0,
+  stemFormat: true,
+  anyVoice: true,
+
+  configured: () => true,
+
+  defaultVoice: () => ({ voice_id: 'mock', params_json: {} }),
+
+  async generate({ voice, text }) {
+    return synthesizeSpeech(text, voice);
+  },
+
+  async listVoices() {
+    return [{ voice_id: 'mock', name: 'Mock voice (any voice_id works; its pitch follows the id)' }];
+  }
+};
+
+const PROVIDERS = { elevenlabs, openai, command, mock };
+
+/**
+ * Provider used for new voice assignments (TTS_PROVIDER, default elevenlabs)
+ */
+export function defaultProviderName() {
+  return process.env.TTS_PROVIDER || 'elevenlabs';
+}
+
+/**
+ * Adapter by name (default provider when name is empty)
+ * @throws for unknown providers
+ */
+export function getTtsProvider(name) {
+  const provider = PROVIDERS[name || defaultProviderName()];
+  if (!provider) {
+    throw new Error(`Unknown TTS provider: ${name} (available: ${TTS_PROVIDERS.join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Voice assigned to characters without a voice_map row
+ * @returns {Object} {provider, voice_id, params_json}
+ */
+export function defaultVoiceFor(name) {
+  const provider = getTtsProvider(name);
+  return { provider: provider.name, ...provider.defaultVoice() };
+}
+
+/**
+ * Voice to retry a line with when its provider is down (TTS_FALLBACK_PROVIDER), or null
+ */
+export function fallbackVoiceFor(voice) {
+  const name = process.env.TTS_FALLBACK_PROVIDER;
+  if (!name || name === (voice.provider || defaultProviderName())) return null;
+  return defaultVoiceFor(name);
+}
+
+// Connection-level failures (Node / undici error codes) meaning the provider could not be reached
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN',
+  'EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN', 'EPIPE'
+]);
+
+// fetch() wraps the socket error as TypeError('fetch failed') with the code on err.cause
+function isNetworkError(err) {
+  for (let e = err, depth = 0; e && depth < 5; e = e.cause, depth++) {
+    if (e.name === 'AbortError' || e.name === 'TimeoutError' || e.timedOut) return true;
+    if (typeof e.code === 'string' && (NETWORK_ERROR_CODES.has(e.code) || e.code.startsWith('UND_ERR_'))) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a TTS error means the provider is down (as opposed to rejecting this line):
+ * not configured, unreachable or timing out, or still rate limited / failing after retries
+ * Callers check their own signal first, so an AbortError here is a provider timeout
+ */
+export function isProviderDown(err) {
+  if (err instanceof TtsProviderUnavailableError) return true;
+  if (err instanceof RetryableError) return err.isRetryable;
+  return isNetworkError(err);
+}
+
+/**
+ * Voice identity used in stem cache keys: provider-qualified, except for
+ * ElevenLabs so stems cached before providers existed stay valid
+ */
+export function voiceCacheId(voice) {
+  const provider = voice.provider || 'elevenlabs';
+  return provider === 'elevenlabs' ? voice.voice_id : `${provider}:${voice.voice_id}`;
+}
+
+const VOICE_SETTING_KEYS = Object.keys(VoiceSettings.shape);
+
+/**
+ * Voice with the Director JSON's voice_settings merged over its params_json:
+ * project-wide, then the line's character, then the line itself (later wins)
+ * @param {Object} voice - {provider, voice_id, params_json}
+ * @param {Object} line - DialogueLine
+ * @param {Object} settings - {voice_settings, characters} of the Director JSON
+ */
+export function voiceWithSettings(voice, line, { voice_settings, characters } = {}) {
+  const layers = [voice_settings, characters?.[line.character]?.voice_settings, line.voice_settings].filter(Boolean);
+  if (!layers.length) return voice;
+  const overrides = Object.assign({}, ...layers);
+  // Keys in a fixed order: params_json is hashed into the stem cache key as JSON
+  const params = { ...voice.params_json };
+  for (const key of VOICE_SETTING_KEYS) {
+    if (overrides[key] !== undefined) params[key] = overrides[key];
+  }
+  return { ...voice, params_json: params };
+}
+
+/**
+ * Registry summary for GET /tts/providers
+ */
+export function describeProviders() {
+  return TTS_PROVIDERS.map(name => {
+    const p = PROVIDERS[name];
+    return {
+      name,
+      label: p.label,
+      configured: p.configured(),
+      max_text_length: p.maxTextLength,
+      cost_per_character: p.costPerCharacter,
+      default_voice: p.defaultVoice().voice_id
+    };
+  });
+}
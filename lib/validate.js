@@ -0,0 +1,53 @@
+// lib/validate.js
+
+/**
+ * Express middleware validating request parts against zod schemas
+ * On failure responds 422 with one issue per invalid field:
+ *   { error, issues: [{ location, path, message, code }] }
+ * On success the parsed values (with defaults applied) replace req.body / req.params / req.query
+ *
+ * @param {Object} schemas - { body?, params?, query? } zod schemas
+ */
+export function validate(schemas) {
+  return (req, res, next) => {
+    const issues = [];
+    const parsed = {};
+
+    for (const location of ['params', 'query', 'body']) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      const result = schema.safeParse(req[location] ?? {});
+      if (result.success) {
+        parsed[location] = result.data;
+      } else {
+        issues.push(...formatIssues(result.error, location));
+      }
+    }
+
+    if (issues.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        issues
+      });
+    }
+
+    // req.query is a getter in Express 4, so copy parsed values onto it rather than reassigning
+    if (parsed.params) req.params = parsed.params;
+    if (parsed.body) req.body = parsed.body;
+    if (parsed.query) Object.assign(req.query, parsed.query);
+    next();
+  };
+}
+
+/**
+ * Flatten a ZodError into field-level issues with dotted paths (e.g. scenes.0.dialogue.1.text)
+ */
+export function formatIssues(error, location = 'body') {
+  return error.issues.map(issue => ({
+    location,
+    path: issue.path.join('.'),
+    message: issue.message,
+    code: issue.code
+  }));
+}
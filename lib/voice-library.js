@@ -0,0 +1,98 @@
+// lib/voice-library.js
+import fs from 'fs';
+import { z } from 'zod';
+import { VoiceLibraryEntry } from './zod-schemas.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('voice-library');
+
+/**
+ * Voice library for casting (catalog/voices.json)
+ *
+ * Each entry is a provider voice with its gender (male | female | neutral), age
+ * (child | young | middle_aged | old), accent and free tone tags. Character
+ * descriptions from the Director JSON ("elderly gruff male") are parsed into the
+ * same traits and scored against every entry (see workers/casting.js).
+ */
+
+export const VOICE_LIBRARY_PATH = 'catalog/voices.json';
+
+export const AGES = ['child', 'young', 'middle_aged', 'old'];
+
+// Description words that imply a gender and / or an age
+const TRAIT_WORDS = new Map();
+const define = (words, trait) => words.forEach(w => TRAIT_WORDS.set(w, trait));
+define(['male', 'man', 'men', 'guy', 'gentleman', 'father', 'dad', 'son', 'brother', 'husband', 'uncle', 'king', 'prince', 'lord', 'sir', 'he'], { gender: 'male' });
+define(['female', 'woman', 'women', 'lady', 'mother', 'mom', 'mum', 'daughter', 'sister', 'wife', 'aunt', 'queen', 'princess', 'she'], { gender: 'female' });
+define(['child', 'kid', 'little', 'toddler'], { age: 'child' });
+define(['boy'], { gender: 'male', age: 'child' });
+define(['girl'], { gender: 'female', age: 'child' });
+define(['young', 'teen', 'teenage', 'teenager', 'youthful', 'student'], { age: 'young' });
+define(['middle-aged', 'adult', 'mature'], { age: 'middle_aged' });
+define(['old', 'elderly', 'aged', 'ancient', 'senior'], { age: 'old' });
+define(['grandfather', 'grandpa'], { gender: 'male', age: 'old' });
+define(['grandmother', 'grandma', 'granny'], { gender: 'female', age: 'old' });
+
+// Accent spellings that differ from the library's accent values
+const ACCENT_WORDS = { english: 'british', uk: 'british', us: 'american', scots: 'scottish' };
+
+/**
+ * Voice library entries (empty if the file does not exist)
+ * @throws if the file is not a valid library
+ */
+export function loadVoiceLibrary(file = VOICE_LIBRARY_PATH) {
+  if (!fs.existsSync(file)) {
+    log.debug(`No voice library at ${file}`);
+    return [];
+  }
+  const parsed = z.array(VoiceLibraryEntry).safeParse(JSON.parse(fs.readFileSync(file, 'utf8')));
+  if (!parsed.success) {
+    throw new Error(`Invalid voice library ${file}: ${JSON.stringify(parsed.error.issues)}`);
+  }
+  return parsed.data;
+}
+
+/**
+ * Traits of a character description
+ * The first gender / age / accent word wins; every other word is a tone tag
+ * @param {string} description - e.g. "elderly gruff male"
+ * @param {Array} library - Voice library, whose accents are recognized as accent words
+ * @returns {Object} {gender, age, accent, tags}
+ */
+export function parseCharacterDescription(description = '', library = []) {
+  const accents = new Set(library.map(v => v.accent).filter(Boolean));
+  const traits = { gender: null, age: null, accent: null, tags: [] };
+  const words = description.toLowerCase().replace(/middle[\s_]+aged/g, 'middle-aged').match(/[a-z]+(?:-[a-z]+)*/g) || [];
+
+  for (const word of words) {
+    const trait = TRAIT_WORDS.get(word);
+    const accent = ACCENT_WORDS[word] || (accents.has(word) ? word : null);
+    if (trait) {
+      traits.gender ??= trait.gender ?? null;
+      traits.age ??= trait.age ?? null;
+    } else if (accent) {
+      traits.accent ??= accent;
+    } else {
+      traits.tags.push(word);
+    }
+  }
+  return traits;
+}
+
+/**
+ * How well a library voice fits a character's traits (higher is better)
+ * A gender mismatch outweighs everything else; neutral voices fit either gender
+ */
+export function scoreVoice(voice, traits) {
+  let score = 0;
+  if (traits.gender && voice.gender !== 'neutral') {
+    score += voice.gender === traits.gender ? 4 : -10;
+  }
+  if (traits.age) {
+    const distance = Math.abs(AGES.indexOf(voice.age) - AGES.indexOf(traits.age));
+    score += distance === 0 ? 3 : distance === 1 ? 1 : -2;
+  }
+  if (traits.accent && voice.accent === traits.accent) score += 2;
+  score += traits.tags.filter(tag => voice.tags.includes(tag)).length;
+  return score;
+}
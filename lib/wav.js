@@ -0,0 +1,88 @@
+// lib/wav.js
+
+/**
+ * 16-bit PCM WAV encoding and joining for audio built in memory (silence, mock
+ * TTS, stems with <break> pauses). Defaults match TTS stems: 48 kHz stereo
+ */
+
+export const STEM_SAMPLE_RATE = 48000;
+export const STEM_CHANNELS = 2;
+
+function wavHeader(dataSize, sampleRate, channels) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+}
+
+/**
+ * WAV from mono samples in [-1, 1], copied to every channel
+ * @param {Float32Array} samples
+ * @returns {Buffer}
+ */
+export function encodeWav(samples, { sampleRate = STEM_SAMPLE_RATE, channels = STEM_CHANNELS } = {}) {
+  const data = Buffer.alloc(samples.length * channels * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767);
+    for (let c = 0; c < channels; c++) {
+      data.writeInt16LE(value, (i * channels + c) * 2);
+    }
+  }
+  return Buffer.concat([wavHeader(data.length, sampleRate, channels), data]);
+}
+
+/**
+ * Format and PCM data of a 16-bit WAV (as written by ffmpeg or encodeWav)
+ * Streamed WAVs carry no real data size, so the data chunk then runs to the end
+ * @returns {Object} {sampleRate, channels, data}
+ */
+export function decodeWav(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+  let format = null;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      format = {
+        sampleRate: buffer.readUInt32LE(body + 4),
+        channels: buffer.readUInt16LE(body + 2),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!format || format.bitsPerSample !== 16) throw new Error('Only 16-bit PCM WAV is supported');
+      const end = size === 0 || body + size > buffer.length ? buffer.length : body + size;
+      return { sampleRate: format.sampleRate, channels: format.channels, data: buffer.subarray(body, end) };
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Join WAVs of the same format end to end
+ * @param {Buffer[]} buffers
+ * @returns {Buffer}
+ */
+export function concatWav(buffers) {
+  const parts = buffers.map(decodeWav);
+  const [{ sampleRate, channels }] = parts;
+  if (parts.some(p => p.sampleRate !== sampleRate || p.channels !== channels)) {
+    throw new Error('Cannot join WAVs with different sample rates or channel counts');
+  }
+  const data = Buffer.concat(parts.map(p => p.data));
+  return Buffer.concat([wavHeader(data.length, sampleRate, channels), data]);
+}
@@ -0,0 +1,333 @@
+// lib/webhooks.js
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import { withRetry, RetryableError } from './retry.js';
+import { getTenant } from './tenants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('webhooks');
+
+/**
+ * Render callbacks
+ *
+ * When a Director JSON (or scene render request) carries a callback_url, the
+ * outcome of the render is POSTed to it:
+ *   render.completed - { project_id, audio_urls, manifest, scenes: [{scene_id, lufs_i, true_peak_db}], degraded }
+ *   render.failed    - { project_id, error: {message, scene_id, scene_index} }
+ *   render.cancelled - { project_id }
+ *
+ * Requests are signed with HMAC-SHA256 over "<timestamp>.<raw body>":
+ *   X-StoryMagic-Signature: t=<unix seconds>,v1=<hex digest>
+ * The secret is the tenant's webhook_secret, falling back to WEBHOOK_SECRET.
+ * Without a secret the request is sent unsigned.
+ *
+ * Callbacks may not reach private, loopback, link-local or metadata addresses: the
+ * callback host is checked after DNS resolution, on the connection actually used.
+ * WEBHOOK_ALLOWED_HOSTS (comma-separated) restricts callbacks to those hosts, which
+ * are then trusted whatever they resolve to.
+ *
+ * Every delivery is logged to data/webhooks/<delivery_id>.json with its attempts and
+ * body; deliveries still pending when the process stops are resumed on the next
+ * start (resumeDeliveries()). Delivered and failed deliveries are deleted
+ * WEBHOOK_RETENTION_HOURS after their last attempt (default 7 days)
+ */
+
+const deliveriesDir = path.join(process.cwd(), 'data', 'webhooks');
+const ATTEMPT_TIMEOUT_MS = 10000;
+const RETENTION_MS = parseFloat(process.env.WEBHOOK_RETENTION_HOURS || '168') * 3600 * 1000;
+const PRUNE_INTERVAL_MS = 3600 * 1000;
+
+function deliveryPath(id) {
+  return path.join(deliveriesDir, `${id}.json`);
+}
+
+function persist(delivery) {
+  delivery.updated_at = new Date().toISOString();
+  fs.mkdirSync(deliveriesDir, { recursive: true });
+  const tmp = deliveryPath(delivery.id) + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(delivery, null, 2));
+  fs.renameSync(tmp, deliveryPath(delivery.id));
+}
+
+// Ranges a callback may not connect to (RFC 6890 special-purpose blocks)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+
+/**
+ * Whether an IP address is private, loopback, link-local (incl. the 169.254.169.254
+ * metadata service), multicast or otherwise not publicly routable
+ */
+export function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function allowedHosts() {
+  const hosts = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+  return hosts.length ? hosts : null;
+}
+
+function blockedTarget(host, address) {
+  return new RetryableError(`Callback host ${host} resolves to a non-public address (${address})`, undefined, false);
+}
+
+// dns.lookup for http(s).request that refuses non-public addresses; runs on the
+// connection itself, so the checked address is the one connected to
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) return callback(blockedTarget(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST a body to a callback URL, resolving to the response status (redirects are not followed)
+function postCallback(url, headers, body, signal) {
+  const target = new URL(url);
+  const host = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const allowed = allowedHosts();
+  if (allowed && !allowed.includes(host)) {
+    return Promise.reject(new RetryableError(`Callback host ${host} is not in WEBHOOK_ALLOWED_HOSTS`, undefined, false));
+  }
+  // IP literals never reach lookup
+  if (!allowed && net.isIP(host) && isBlockedAddress(host)) return Promise.reject(blockedTarget(host, host));
+
+  return new Promise((resolve, reject) => {
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      signal,
+      ...(!allowed && { lookup: guardedLookup })
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function secretFor(tenant_id) {
+  return (tenant_id && getTenant(tenant_id)?.webhook_secret) || process.env.WEBHOOK_SECRET || null;
+}
+
+/**
+ * Signature header value for a raw request body
+ * Receivers recompute HMAC-SHA256(secret, `${t}.${body}`) and compare with v1
+ */
+export function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Callback data for a finished render (result of orchestrate() / rerenderScene())
+ */
+export function completedPayload(result) {
+  return {
+    audio_urls: result.audio_urls,
+    manifest: result.manifest,
+    scenes: (result.scenes || []).map(s => ({
+      scene_id: s.scene_id,
+      lufs_i: s.loudness?.lufs_i ?? null,
+      true_peak_db: s.loudness?.true_peak_db ?? null
+    })),
+    degraded: result.degraded || []
+  };
+}
+
+/**
+ * Callback data for a failed render
+ */
+export function failedPayload(err, scene = null) {
+  return {
+    error: {
+      message: err.message,
+      scene_id: scene?.scene_id ?? null,
+      scene_index: scene?.scene_index ?? null
+    }
+  };
+}
+
+/**
+ * POST a render outcome to a callback URL, retrying with backoff on network
+ * errors, timeouts, 429 and 5xx responses
+ * Never throws - the outcome is recorded in the delivery log
+ *
+ * @param {Object} params
+ * @param {string} params.url - Callback URL
+ * @param {string} params.event - render.completed | render.failed | render.cancelled
+ * @param {string} params.project_id - Project the render belongs to
+ * @param {string} params.job_id - Job id (null for synchronous /orchestrate renders)
+ * @param {string} params.tenant_id - Owning tenant (selects the signing secret)
+ * @param {Object} params.data - Event payload
+ * @returns {Promise<Object>} The final delivery record
+ */
+export async function deliverWebhook({ url, event, project_id, job_id = null, tenant_id = null, data = {} }) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: crypto.randomUUID(),
+    job_id,
+    tenant_id,
+    project_id,
+    event,
+    url,
+    status: 'pending',
+    attempts: [],
+    created_at: now,
+    updated_at: now,
+    delivered_at: null
+  };
+  delivery.body = JSON.stringify({
+    event,
+    delivery_id: delivery.id,
+    job_id,
+    project_id,
+    occurred_at: now,
+    ...data
+  });
+  persist(delivery);
+  return send(delivery);
+}
+
+// Attempt a persisted delivery until it succeeds or its retries (counting earlier
+// attempts) run out
+async function send(delivery) {
+  const { url, event, body } = delivery;
+  const secret = secretFor(delivery.tenant_id);
+  const maxRetries = parseInt(process.env.WEBHOOK_MAX_RETRIES || '5', 10) - delivery.attempts.length;
+
+  try {
+    if (maxRetries < 0) throw new Error('no retries left');
+    await withRetry(async () => {
+      const started = Date.now();
+      const attempt = { at: new Date().toISOString(), status_code: null, error: null, duration_ms: null };
+      delivery.attempts.push(attempt);
+
+      try {
+        const status = await postCallback(url, {
+          'Content-Type': 'application/json',
+          'User-Agent': 'story-magic-orchestrator',
+          'X-StoryMagic-Event': event,
+          'X-StoryMagic-Delivery': delivery.id,
+          ...(secret && { 'X-StoryMagic-Signature': signPayload(body, secret) })
+        }, body, AbortSignal.timeout(ATTEMPT_TIMEOUT_MS));
+        attempt.status_code = status;
+        if (status < 200 || status >= 300) {
+          attempt.error = `HTTP ${status}`;
+          throw new RetryableError(`Callback responded ${status}`, status, false);
+        }
+      } catch (err) {
+        attempt.error ??= err.message;
+        // Network failures and timeouts have no status - retry them too
+        if (!(err instanceof RetryableError)) throw new RetryableError(err.message);
+        throw err;
+      } finally {
+        attempt.duration_ms = Date.now() - started;
+        persist(delivery);
+      }
+    }, {
+      maxRetries,
+      initialDelayMs: 2000,
+      maxDelayMs: 60000,
+      operation: 'webhook'
+    });
+
+    delivery.status = 'delivered';
+    delivery.delivered_at = new Date().toISOString();
+    log.info(`📨 Webhook ${event} delivered to ${url}`);
+  } catch (err) {
+    delivery.status = 'failed';
+    log.error(`❌ Webhook ${event} to ${url} failed after ${delivery.attempts.length} attempt(s):`, err.message);
+  }
+
+  persist(delivery);
+  return delivery;
+}
+
+/**
+ * Delete delivered and failed deliveries last updated more than WEBHOOK_RETENTION_HOURS ago
+ * @returns {number} Deliveries deleted
+ */
+export function pruneDeliveries(now = Date.now()) {
+  let pruned = 0;
+  for (const delivery of readDeliveries()) {
+    if (delivery.status === 'pending' || now - Date.parse(delivery.updated_at) < RETENTION_MS) continue;
+    fs.rmSync(deliveryPath(delivery.id), { force: true });
+    pruned++;
+  }
+  if (pruned) log.info(`🧹 Pruned ${pruned} finished webhook deliveries`);
+  return pruned;
+}
+
+/**
+ * Resume deliveries left pending by a previous run and start pruning finished ones
+ * (see pruneDeliveries()); called once at startup
+ * Deliveries logged before bodies were stored cannot be resent and are marked failed
+ * @returns {number} Deliveries resumed
+ */
+export function resumeDeliveries() {
+  setInterval(() => pruneDeliveries(), PRUNE_INTERVAL_MS).unref();
+  pruneDeliveries();
+
+  let resumed = 0;
+  for (const delivery of readDeliveries()) {
+    if (delivery.status !== 'pending') continue;
+    if (!delivery.body) {
+      delivery.status = 'failed';
+      persist(delivery);
+      continue;
+    }
+    send(delivery);
+    resumed++;
+  }
+  return resumed;
+}
+
+function readDeliveries() {
+  if (!fs.existsSync(deliveriesDir)) return [];
+
+  const out = [];
+  for (const file of fs.readdirSync(deliveriesDir).filter(f => f.endsWith('.json'))) {
+    try {
+      out.push(JSON.parse(fs.readFileSync(path.join(deliveriesDir, file), 'utf8')));
+    } catch {
+      continue;
+    }
+  }
+  return out;
+}
+
+/**
+ * Query the delivery log, newest first
+ * @param {Object} filter - {job_id, project_id, status, tenant_id} (all optional)
+ */
+export function listDeliveries(filter = {}) {
+  const out = [];
+  for (const { body, ...delivery } of readDeliveries()) {
+    if (filter.job_id && delivery.job_id !== filter.job_id) continue;
+    if (filter.project_id && delivery.project_id !== filter.project_id) continue;
+    if (filter.status && delivery.status !== filter.status) continue;
+    if (filter.tenant_id !== undefined && delivery.tenant_id !== filter.tenant_id) continue;
+    out.push(delivery);
+  }
+
+  return out.sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
@@ -1,11 +1,21 @@
 import { z } from 'zod';
 
+// Voice setting overrides (ElevenLabs names; other providers use what they support, e.g. speed)
+export const VoiceSettings = z.object({
+  stability: z.number().min(0).max(1),
+  similarity_boost: z.number().min(0).max(1),
+  style: z.number().min(0).max(1),
+  speed: z.number().min(0.7).max(1.2),
+  use_speaker_boost: z.boolean()
+}).partial();
+
 // Dialogue line schema
 export const DialogueLine = z.object({
   line_id: z.string(),
-  voice_key: z.string(),
+  voice_key: z.string().optional(),
   character: z.string(),
-  text: z.string().min(1)
+  text: z.string().min(1),
+  voice_settings: VoiceSettings.optional()
 });
 
 // Scene schema
@@ -39,10 +49,47 @@ export const Scene = z.object({
   }).partial().optional(),
 });
 
+// Webhook target for render completion / failure callbacks
+export const CallbackUrl = z.string().url().regex(/^https?:\/\//, 'Must be an http(s) URL');
+
+// What a render does when a scene fails (see FAILURE_POLICIES in workers/orchestrator.js)
+export const FailurePolicy = z.enum(['fail_fast', 'skip_scene', 'degrade']);
+
+// TTS adapters in lib/tts-providers.js
+export const TtsProviderName = z.enum(['elevenlabs', 'openai', 'command', 'mock']);
+
+// Per-character settings in the Director JSON, keyed by DialogueLine.character
+// description (e.g. "elderly gruff male") casts unmapped characters from the voice library
+export const CharacterSettings = z.record(z.object({
+  description: z.string().optional(),
+  voice_settings: VoiceSettings.optional()
+}));
+
+// Voice library entry (catalog/voices.json, see lib/voice-library.js)
+export const VoiceLibraryEntry = z.object({
+  voice_id: z.string().min(1),
+  name: z.string(),
+  provider: TtsProviderName.default('elevenlabs'),
+  gender: z.enum(['male', 'female', 'neutral']),
+  age: z.enum(['child', 'young', 'middle_aged', 'old']),
+  accent: z.string().optional(),
+  tags: z.array(z.string()).default([]),
+  params_json: z.record(z.any()).optional()
+});
+
+// Project ids name the output/<project_id> directory, so they must be a single safe path segment
+export const ProjectId = z.string().regex(/^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/, 'Must be 1-128 letters, digits, ".", "_" or "-", starting with a letter or digit');
+
 // Director JSON schema (main input format)
 export const DirectorJSON = z.object({
-  project_id: z.string(),
+  project_id: ProjectId,
   script_id: z.string().optional(),
+  callback_url: CallbackUrl.optional(),
+  failure_policy: FailurePolicy.default('fail_fast'),
+  tts_provider: TtsProviderName.optional(),
+  // Merged over the voice's settings: project, then character, then line (lib/tts-providers.js)
+  voice_settings: VoiceSettings.optional(),
+  characters: CharacterSettings.optional(),
   scenes: z.array(Scene)
 });
 
@@ -51,6 +98,14 @@ export const Alignment = z.object({
   scene_id: z.string(),
   lines: z.array(z.object({
     line_id: z.string(),
+    // Line text without markup, and the markup tags at offsets into it (lib/markup.js)
+    text: z.string().optional(),
+    tags: z.array(z.object({
+      type: z.enum(['direction', 'break']),
+      value: z.string().optional(),
+      seconds: z.number().optional(),
+      at: z.number().int()
+    })).optional(),
     start: z.number(),
     end: z.number(),
     words: z.array(z.object({ 
@@ -138,4 +193,73 @@ export const MixManifest = z.object({
   lufs_i: z.number().optional(),
   true_peak_db: z.number().optional(),
   filters: z.array(z.string())
+});
+
+// Request schemas (validated by lib/validate.js, published in /openapi.json)
+
+// Body of POST /projects/:project_id/scenes/:scene_id/render (scene_id defaults to the URL)
+export const SceneRenderBody = Scene.extend({
+  scene_id: z.string().optional(),
+  callback_url: CallbackUrl.optional(),
+  failure_policy: FailurePolicy.optional(),
+  tts_provider: TtsProviderName.optional(),
+  voice_settings: VoiceSettings.optional(),
+  characters: CharacterSettings.optional()
+});
+
+export const JobParams = z.object({
+  id: z.string().uuid()
+});
+
+export const ProjectParams = z.object({
+  project_id: z.string().min(1)
+});
+
+export const ProjectSceneParams = z.object({
+  project_id: z.string().min(1),
+  scene_id: z.string().min(1)
+});
+
+export const ArtifactParams = z.object({
+  project_id: z.string().min(1),
+  filename: z.string().min(1)
+});
+
+// ?resume=true continues a render from its checkpoint
+export const RenderQuery = z.object({
+  resume: z.enum(['true', 'false']).optional()
+});
+
+export const DeliveryQuery = z.object({
+  job_id: z.string().uuid().optional(),
+  project_id: z.string().optional(),
+  status: z.enum(['pending', 'delivered', 'failed']).optional()
+});
+
+export const CatalogType = z.enum(['music', 'ambience', 'sfx']);
+
+export const CatalogQuery = z.object({
+  type: CatalogType.optional(),
+  tag: z.string().optional()
+});
+
+export const TtsProviderParams = z.object({
+  provider: TtsProviderName
+});
+
+export const CatalogTrackParams = z.object({
+  type: CatalogType,
+  filename: z.string().min(1)
+});
+
+// Multipart fields of POST /catalog (the audio itself is the "file" part)
+export const CatalogUploadBody = z.object({
+  type: CatalogType,
+  tags: z.string().optional(),
+  name: z.string().optional()
+}).refine(b => b.tags || b.name, { message: 'Provide tags or name', path: ['tags'] });
+
+export const DownloadQuery = z.object({
+  expires: z.string().regex(/^\d+$/).optional(),
+  sig: z.string().regex(/^[0-9a-f]+$/).optional()
 });
\ No newline at end of file
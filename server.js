@@ -2,8 +2,73 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { orchestrate } from './workers/orchestrator.js';
+import { episodeSceneIds, readPlaybackManifest } from './workers/export.js';
+import { planEpisode } from './workers/plan.js';
+import {
+  createJob,
+  getJob,
+  serializeJob,
+  restoreJobs,
+  subscribe,
+  isFinished,
+  cancelJob,
+  activeJobCount,
+  reserveProject,
+  ProjectBusyError
+} from './lib/jobs.js';
+import {
+  listProjects,
+  getProject,
+  deleteProject,
+  getProjectOwner,
+  canAccessProject,
+  claimProject
+} from './lib/projects.js';
+import {
+  requireApiKey,
+  TenantError,
+  assertCanStartJob,
+  ttsQuotaFor,
+  recordRender,
+  getUsage,
+  authEnabled
+} from './lib/tenants.js';
 import fs from 'fs';
-import path from 'path';
+import os from 'os';
+import multer from 'multer';
+import {
+  DirectorJSON,
+  SceneRenderBody,
+  JobParams,
+  ProjectParams,
+  ProjectSceneParams,
+  ArtifactParams,
+  DownloadQuery,
+  RenderQuery,
+  DeliveryQuery,
+  TtsProviderParams,
+  CatalogQuery,
+  CatalogTrackParams,
+  CatalogUploadBody
+} from './lib/zod-schemas.js';
+import { ingestTrack, IngestError } from './lib/catalog-ingest.js';
+import { listCatalogTracks, findCatalogTrack, renderPreview, refreshCatalogIndex } from './lib/catalog-index.js';
+import { deliverWebhook, completedPayload, failedPayload, listDeliveries, resumeDeliveries } from './lib/webhooks.js';
+import { validate, formatIssues } from './lib/validate.js';
+import { buildOpenApiDocument } from './lib/openapi.js';
+import { renderMetrics, METRICS_CONTENT_TYPE } from './lib/metrics.js';
+import { checkReadiness } from './lib/readiness.js';
+import { describeProviders, defaultProviderName, getTtsProvider } from './lib/tts-providers.js';
+import {
+  resolveArtifactPath,
+  contentTypeFor,
+  signingEnabled,
+  signDownloadUrl,
+  verifyDownloadSignature
+} from './lib/downloads.js';
+import { createLogger } from './lib/logger.js';
+
+const log = createLogger('server');
 
 dotenv.config();
 
@@ -11,9 +76,97 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+// CORS_ORIGINS is a comma-separated allow-list; unset keeps CORS open
+const corsOrigins = process.env.CORS_ORIGINS?.split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors(corsOrigins?.length ? { origin: corsOrigins } : {}));
 app.use(express.json({ limit: '50mb' }));
 
+function sendTenantError(res, err) {
+  res.status(err.status).json({
+    error: err.status === 429 ? 'Too Many Requests' : 'Forbidden',
+    message: err.message
+  });
+}
+
+function sendProjectBusy(res, err) {
+  res.status(409).json({
+    error: 'Project has active jobs',
+    message: err.message,
+    project_id: err.project_id,
+    job_ids: err.job_ids
+  });
+}
+
+// Load a job for the calling tenant: 404 if unknown, 403 if owned by another tenant
+function loadJobFor(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found', job_id: req.params.id });
+    return null;
+  }
+  if (req.tenant && job.tenant_id !== req.tenant.id) {
+    res.status(403).json({ error: 'Forbidden', message: 'Job belongs to another tenant' });
+    return null;
+  }
+  return job;
+}
+
+// Check that the calling tenant owns a project: 403 if another tenant does, 404 if none is recorded
+function checkProjectAccess(req, res, project_id) {
+  if (canAccessProject(project_id, req.tenant)) return true;
+  if (getProjectOwner(project_id) == null) {
+    res.status(404).json({ error: 'Project not found', project_id });
+  } else {
+    res.status(403).json({ error: 'Forbidden', message: 'Project belongs to another tenant' });
+  }
+  return false;
+}
+
+// Render slots per tenant held outside the job queue: synchronous POST /orchestrate renders,
+// and job requests between the concurrency check and createJob()
+const renderSlots = new Map();
+
+// Renders counted against a tenant's concurrent_jobs limit
+function activeRenderCount(tenant_id) {
+  return activeJobCount(tenant_id) + (renderSlots.get(tenant_id) || 0);
+}
+
+// Take one of the tenant's concurrent render slots before any await, so parallel requests
+// can't all pass the check (429 when none is free); returns the function releasing it
+function reserveRenderSlot(tenant) {
+  if (!tenant) return () => {};
+  assertCanStartJob(tenant, { active_jobs: activeRenderCount(tenant.id) });
+  renderSlots.set(tenant.id, (renderSlots.get(tenant.id) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const n = renderSlots.get(tenant.id) - 1;
+    if (n > 0) renderSlots.set(tenant.id, n);
+    else renderSlots.delete(tenant.id);
+  };
+}
+
+// Quota pre-check for a render once its slot is reserved: render minutes and the TTS characters it would spend
+async function checkRenderQuota(req, director) {
+  if (!req.tenant) return null;
+  const plan = await planEpisode(director);
+  assertCanStartJob(req.tenant, { tts_chars: plan.tts?.new_characters || 0 });
+  return plan;
+}
+
+// POST the outcome of a synchronous render to its callback_url (jobs notify from lib/jobs.js)
+function notifyCallback(req, director, event, data) {
+  if (!director.callback_url) return;
+  deliverWebhook({
+    url: director.callback_url,
+    event,
+    project_id: director.project_id,
+    tenant_id: req.tenant?.id ?? null,
+    data
+  });
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -23,44 +176,104 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Main orchestration endpoint
-app.post('/orchestrate', async (req, res) => {
+// Readiness - toolchain, catalog, writable directories and Supabase; 503 when a required check fails
+app.get('/ready', async (req, res) => {
   try {
-    const directorJSON = req.body;
-
-    // Validate required fields
-    if (!directorJSON || !directorJSON.project_id || !directorJSON.scenes) {
-      return res.status(400).json({
-        error: 'Invalid Director JSON',
-        message: 'Missing project_id or scenes'
-      });
-    }
+    const report = await checkReadiness();
+    res.status(report.ready ? 200 : 503).json({ ...report, timestamp: new Date().toISOString() });
+  } catch (error) {
+    log.error('Error in /ready', error);
+    res.status(503).json({ status: 'not_ready', ready: false, message: error.message });
+  }
+});
 
-    // TODO: Call orchestrator worker here
-    // For now, return a simple response
-    // Import orchestrator at the top of the file
+// OpenAPI 3 document generated from lib/zod-schemas.js
+const openApiDocument = buildOpenApiDocument();
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Prometheus metrics - outside tenant auth so scrapers need no API key; set METRICS_TOKEN to require a bearer token
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
+// Everything below requires an API key, except signed downloads (checked in the route)
+app.use((req, res, next) => {
+  if (req.path.startsWith('/download/') && req.query.sig && signingEnabled()) return next();
+  requireApiKey(req, res, next);
+});
 
-// Then in the /orchestrate endpoint, replace the placeholder with:
-try {
-  console.log('🎬 Starting orchestration for project:', directorJSON.project_id);
-  const result = await orchestrate(directorJSON);
-  
+// Usage counters and limits for the calling tenant
+app.get('/usage', (req, res) => {
+  if (!req.tenant) {
+    return res.status(404).json({ error: 'Not found', message: 'Authentication is not configured' });
+  }
   res.json({
-    status: 'success',
-    project_id: directorJSON.project_id,
-    audio_urls: result.audio_urls,
-    playback_manifest: result.manifest
-  });
-} catch (error) {
-  console.error('❌ Orchestration failed:', error);
-  res.status(500).json({
-    status: 'error',
-    message: error.message,
-    project_id: directorJSON.project_id
+    tenant_id: req.tenant.id,
+    limits: req.tenant.limits || {},
+    usage: getUsage(req.tenant.id),
+    active_jobs: activeRenderCount(req.tenant.id)
   });
-}
+});
+
+// Main orchestration endpoint
+app.post('/orchestrate', validate({ query: RenderQuery, body: DirectorJSON }), async (req, res) => {
+  const directorJSON = req.body;
+  let releaseProject = () => {};
+  let releaseSlot = () => {};
+
+  try {
+    claimProject(directorJSON.project_id, req.tenant);
+    releaseProject = reserveProject(directorJSON.project_id);
+    releaseSlot = reserveRenderSlot(req.tenant);
+    await checkRenderQuota(req, directorJSON);
+    log.info('🎬 Starting orchestration for project:', directorJSON.project_id);
+    const result = await orchestrate(directorJSON, {
+      quota: req.tenant ? ttsQuotaFor(req.tenant.id) : null,
+      resume: req.query.resume === 'true'
+    });
+    if (req.tenant) recordRender(req.tenant.id, result.manifest.total || 0);
+    notifyCallback(req, directorJSON, 'render.completed', completedPayload(result));
+
+    res.json({
+      status: 'success',
+      project_id: directorJSON.project_id,
+      audio_urls: result.audio_urls,
+      playback_manifest: result.manifest,
+      degraded: result.degraded,
+      build: result.build
+    });
   } catch (error) {
-    console.error('Error in /orchestrate:', error);
+    if (error instanceof TenantError) return sendTenantError(res, error);
+    if (error instanceof ProjectBusyError) return sendProjectBusy(res, error);
+    log.error('❌ Orchestration failed', error);
+    notifyCallback(req, directorJSON, 'render.failed', failedPayload(error));
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      project_id: directorJSON.project_id
+    });
+  } finally {
+    releaseSlot();
+    releaseProject();
+  }
+});
+
+// Dry run - validate tracks, voices and TTS cache and estimate duration without calling TTS
+app.post('/plan', validate({ body: DirectorJSON }), async (req, res) => {
+  const owner = getProjectOwner(req.body.project_id);
+  if (req.tenant && owner != null && owner !== req.tenant.id) {
+    return res.status(403).json({ error: 'Forbidden', message: 'Project belongs to another tenant' });
+  }
+  try {
+    res.json(await planEpisode(req.body));
+  } catch (error) {
+    log.error('Error in /plan', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -68,6 +281,380 @@ try {
   }
 });
 
+// Async job endpoints - queue a render and poll for its status
+app.post('/jobs', validate({ query: RenderQuery, body: DirectorJSON }), async (req, res) => {
+  const directorJSON = req.body;
+  let releaseProject = () => {};
+  let releaseSlot = () => {};
+
+  try {
+    claimProject(directorJSON.project_id, req.tenant);
+    releaseProject = reserveProject(directorJSON.project_id);
+    releaseSlot = reserveRenderSlot(req.tenant);
+    await checkRenderQuota(req, directorJSON);
+  } catch (error) {
+    releaseSlot();
+    releaseProject();
+    if (error instanceof TenantError) return sendTenantError(res, error);
+    if (error instanceof ProjectBusyError) return sendProjectBusy(res, error);
+    log.error('Error in /jobs', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+
+  // The queued job holds the project and the tenant's slot from here on
+  const job = createJob(directorJSON, { tenant_id: req.tenant?.id, resume: req.query.resume === 'true' });
+  releaseSlot();
+  releaseProject();
+  log.info(`📥 Queued job ${job.id} for project: ${job.project_id}`);
+
+  res.status(202).json({
+    job_id: job.id,
+    state: job.state,
+    status_url: `/jobs/${job.id}`
+  });
+});
+
+app.get('/jobs/:id', validate({ params: JobParams }), (req, res) => {
+  const job = loadJobFor(req, res);
+  if (!job) return;
+  res.json(serializeJob(job));
+});
+
+// Project inventory - rendered output under output/<project_id> plus cached TTS stems
+// Tenants only see the projects they own
+app.get('/projects', (req, res) => {
+  try {
+    res.json({ projects: listProjects(req.tenant) });
+  } catch (error) {
+    log.error('Error in /projects', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+app.get('/projects/:project_id', validate({ params: ProjectParams }), async (req, res) => {
+  if (!checkProjectAccess(req, res, req.params.project_id)) return;
+  try {
+    const project = await getProject(req.params.project_id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found', project_id: req.params.project_id });
+    }
+    res.json(project);
+  } catch (error) {
+    log.error('Error in project inventory', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Delete local output, TTS stems and Supabase objects of a project (refused while it is being rendered)
+app.delete('/projects/:project_id', validate({ params: ProjectParams }), async (req, res) => {
+  const { project_id } = req.params;
+  if (!checkProjectAccess(req, res, project_id)) return;
+  let releaseProject;
+  try {
+    releaseProject = reserveProject(project_id);
+  } catch (error) {
+    return sendProjectBusy(res, error);
+  }
+
+  try {
+    const removed = await deleteProject(project_id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Project not found', project_id });
+    }
+    res.json(removed);
+  } catch (error) {
+    log.error('Error deleting project', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  } finally {
+    releaseProject();
+  }
+});
+
+// Re-render a single scene of an existing episode (queued as a job)
+// Body is the updated scene; the other scenes' scene-*.m4a files are reused for the export
+app.post('/projects/:project_id/scenes/:scene_id/render', validate({ params: ProjectSceneParams, body: SceneRenderBody }), async (req, res) => {
+  const { project_id, scene_id } = req.params;
+  const { callback_url, failure_policy, tts_provider, voice_settings, characters, ...body } = req.body;
+  const scene = { ...body, scene_id: body.scene_id ?? scene_id };
+
+  if (scene.scene_id !== scene_id) {
+    return res.status(422).json({
+      error: 'Validation failed',
+      issues: [{
+        location: 'body',
+        path: 'scene_id',
+        message: `Body scene_id "${scene.scene_id}" does not match URL scene_id "${scene_id}"`,
+        code: 'custom'
+      }]
+    });
+  }
+
+  if (!checkProjectAccess(req, res, project_id)) return;
+  const manifest = readPlaybackManifest(project_id);
+  if (!manifest) {
+    return res.status(404).json({ error: 'Project has no rendered episode', project_id });
+  }
+  if (!episodeSceneIds(manifest).includes(scene_id)) {
+    return res.status(404).json({ error: 'Scene not found in episode', project_id, scene_id });
+  }
+
+  let releaseProject = () => {};
+  let releaseSlot = () => {};
+  try {
+    releaseProject = reserveProject(project_id);
+    releaseSlot = reserveRenderSlot(req.tenant);
+    await checkRenderQuota(req, { project_id, tts_provider, voice_settings, characters, scenes: [scene] });
+  } catch (error) {
+    releaseSlot();
+    releaseProject();
+    if (error instanceof TenantError) return sendTenantError(res, error);
+    if (error instanceof ProjectBusyError) return sendProjectBusy(res, error);
+    log.error('Error in scene render', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+
+  const job = createJob(
+    { project_id, callback_url, failure_policy, tts_provider, voice_settings, characters, scenes: [scene] },
+    { kind: 'scene', tenant_id: req.tenant?.id }
+  );
+  releaseSlot();
+  releaseProject();
+  log.info(`📥 Queued scene re-render job ${job.id} for ${project_id}/${scene_id}`);
+
+  res.status(202).json({
+    job_id: job.id,
+    state: job.state,
+    status_url: `/jobs/${job.id}`
+  });
+});
+
+// Cancel a queued or running job (kills in-flight TTS requests and ffmpeg/whisper processes)
+app.delete('/jobs/:id', validate({ params: JobParams }), (req, res) => {
+  const job = loadJobFor(req, res);
+  if (!job) return;
+
+  if (isFinished(job)) {
+    return res.status(409).json({
+      error: 'Job already finished',
+      job_id: job.id,
+      state: job.state
+    });
+  }
+
+  cancelJob(job.id);
+  res.status(202).json({ job_id: job.id, state: job.state });
+});
+
+// Server-Sent Events stream of typed job progress events
+// Replays past events (after Last-Event-ID if given), then streams live until the job finishes
+app.get('/jobs/:id/events', validate({ params: JobParams }), (req, res) => {
+  const job = loadJobFor(req, res);
+  if (!job) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event) => {
+    res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const lastId = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+  for (const event of job.events || []) {
+    if (event.seq > lastId) send(event);
+  }
+
+  if (isFinished(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = subscribe(job.id, (event) => {
+    send(event);
+    if (event.type === 'done' || event.type === 'error' || event.type === 'cancelled') close();
+  });
+
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+
+  req.on('close', close);
+});
+
+// Webhook delivery log for the calling tenant, filterable by job, project and status
+app.get('/webhooks/deliveries', validate({ query: DeliveryQuery }), (req, res) => {
+  const deliveries = listDeliveries({
+    job_id: req.query.job_id,
+    project_id: req.query.project_id,
+    status: req.query.status,
+    ...(req.tenant && { tenant_id: req.tenant.id })
+  });
+  res.json({ deliveries });
+});
+
+// Artifact download - confined to output/<project_id>, supports Range requests (206)
+// Authorized either by an API key or by a signed ?expires=&sig= link
+app.get('/download/:project_id/:filename', validate({ params: ArtifactParams, query: DownloadQuery }), (req, res) => {
+  const { project_id, filename } = req.params;
+  const filePath = resolveArtifactPath(project_id, filename);
+
+  if (!filePath) {
+    return res.status(400).json({ error: 'Invalid path' });
+  }
+  // API key requests (signed links carry no tenant) only reach the tenant's own projects
+  if (!checkProjectAccess(req, res, project_id)) return;
+
+  // Without an API key (or with auth disabled) a signed link is required once signing is configured
+  if (signingEnabled() && (req.query.sig || !authEnabled())) {
+    const check = verifyDownloadSignature(project_id, filename, req.query.expires, req.query.sig);
+    if (!check.valid) {
+      return res.status(403).json({ error: 'Forbidden', message: check.reason });
+    }
+  }
+
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return res.status(404).json({ error: 'File not found', project_id, filename });
+  }
+
+  res.download(filePath, filename, {
+    headers: { 'Content-Type': contentTypeFor(filename) }
+  }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.status || 500).json({ error: 'Download failed', message: err.message });
+    }
+  });
+});
+
+// Mint a fresh signed download link for an artifact
+app.get('/download-link/:project_id/:filename', validate({ params: ArtifactParams }), (req, res) => {
+  const { project_id, filename } = req.params;
+  const filePath = resolveArtifactPath(project_id, filename);
+
+  if (!filePath) {
+    return res.status(400).json({ error: 'Invalid path' });
+  }
+  if (!checkProjectAccess(req, res, project_id)) return;
+  if (!signingEnabled()) {
+    return res.status(501).json({ error: 'Signed links not configured', message: 'Set DOWNLOAD_SIGNING_SECRET' });
+  }
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found', project_id, filename });
+  }
+
+  res.json(signDownloadUrl(project_id, filename));
+});
+
+// TTS providers with limits, cost and whether they are configured
+app.get('/tts/providers', (req, res) => {
+  res.json({
+    default: defaultProviderName(),
+    fallback: process.env.TTS_FALLBACK_PROVIDER || null,
+    providers: describeProviders()
+  });
+});
+
+// Voices a provider offers (voice_id values for voice_map rows and voice_key)
+app.get('/tts/providers/:provider/voices', validate({ params: TtsProviderParams }), async (req, res) => {
+  const provider = getTtsProvider(req.params.provider);
+  try {
+    const voices = await provider.listVoices({ signal: AbortSignal.timeout(10000) });
+    res.json({ provider: provider.name, count: voices.length, voices });
+  } catch (error) {
+    log.error(`Error listing ${provider.name} voices`, error);
+    res.status(502).json({ error: 'Provider error', message: error.message });
+  }
+});
+
+// Catalog browsing - tracks with filename tags, duration and loudness
+// ?type=music|ambience|sfx, ?tag=piano,sad (every tag must match)
+app.get('/catalog', validate({ query: CatalogQuery }), (req, res) => {
+  try {
+    const tracks = listCatalogTracks({
+      type: req.query.type,
+      tags: req.query.tag ? req.query.tag.split(',').map(t => t.trim()).filter(Boolean) : []
+    });
+    res.json({
+      count: tracks.length,
+      // Tracks still being measured in the background have null duration / loudness
+      indexing: tracks.some(t => !t.indexed),
+      tracks: tracks.map(t => ({
+        ...t,
+        preview_url: `/catalog/${t.type}/${encodeURIComponent(t.filename)}/preview`
+      }))
+    });
+  } catch (error) {
+    log.error('Error in /catalog', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Catalog upload (multipart: file, type, tags or name) - stored in the house format with the next free _NN
+const catalogUpload = multer({
+  dest: os.tmpdir(),
+  limits: { files: 1, fileSize: parseInt(process.env.CATALOG_UPLOAD_MAX_MB || '200', 10) * 1024 * 1024 }
+}).single('file');
+
+app.post('/catalog', (req, res, next) => {
+  if (req.tenant && !req.tenant.catalog_write) {
+    return res.status(403).json({ error: 'Forbidden', message: `Tenant ${req.tenant.id} may not modify the catalog` });
+  }
+  catalogUpload(req, res, (err) => {
+    if (!err) return next();
+    res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: 'Upload failed', message: err.message });
+  });
+}, async (req, res) => {
+  try {
+    const parsed = CatalogUploadBody.safeParse(req.body || {});
+    const issues = parsed.success ? [] : formatIssues(parsed.error, 'body');
+    if (!req.file) {
+      issues.push({ location: 'body', path: 'file', message: 'Audio file is required', code: 'custom' });
+    }
+    if (issues.length > 0) {
+      return res.status(422).json({ error: 'Validation failed', issues });
+    }
+
+    const track = await ingestTrack({
+      type: parsed.data.type,
+      tags: parsed.data.tags?.split(',') || [],
+      name: parsed.data.name,
+      filePath: req.file.path
+    });
+    res.status(201).json({
+      ...track,
+      preview_url: `/catalog/${track.type}/${encodeURIComponent(track.filename)}/preview`
+    });
+  } catch (error) {
+    if (error instanceof IngestError) {
+      return res.status(error.status).json({ error: 'Rejected', message: error.message });
+    }
+    log.error('Error in catalog upload', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  } finally {
+    if (req.file) fs.rmSync(req.file.path, { force: true });
+  }
+});
+
+// Short faded low-bitrate preview of a catalog track (id = <type>/<filename>)
+app.get('/catalog/:type/:filename/preview', validate({ params: CatalogTrackParams }), async (req, res) => {
+  const track = findCatalogTrack(`${req.params.type}/${req.params.filename}`);
+  if (!track) {
+    return res.status(404).json({ error: 'Track not found', track_id: `${req.params.type}/${req.params.filename}` });
+  }
+
+  try {
+    const previewPath = await renderPreview(track);
+    res.sendFile(previewPath, { headers: { 'Content-Type': 'audio/mpeg', 'Cache-Control': 'public, max-age=86400' } });
+  } catch (error) {
+    log.error(`Error rendering preview for ${track.id}:`, error);
+    res.status(500).json({ error: 'Preview failed', message: error.message });
+  }
+});
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
@@ -78,27 +665,16 @@ app.use((req, res) => {
 
 // Start server - FIXED: hostname comes BEFORE callback
 app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Story Magic Orchestrator running on port ${PORT}`);
-  console.log(`📍 Health check: http://0.0.0.0:${PORT}/health`);
-  console.log(`📍 Orchestrate endpoint: http://0.0.0.0:${PORT}/orchestrate`);
+  log.info(`🚀 Story Magic Orchestrator running on port ${PORT}`);
+  log.info(`📍 Health check: http://0.0.0.0:${PORT}/health`);
+  log.info(`📍 Orchestrate endpoint: http://0.0.0.0:${PORT}/orchestrate`);
+  log.info(`📍 Jobs endpoint: http://0.0.0.0:${PORT}/jobs`);
+
+  const requeued = restoreJobs();
+  if (requeued > 0) log.info(`♻️  Re-queued ${requeued} unfinished job(s) from previous run`);
+
+  const resumed = resumeDeliveries();
+  if (resumed > 0) log.info(`♻️  Resumed ${resumed} pending webhook delivery(ies) from previous run`);
+
+  refreshCatalogIndex().catch(err => log.warn(`⚠️  Catalog index refresh failed: ${err.message}`));
 });
-// Download endpoint for testing
-// Download endpoint for testing
-app.get('/download/:project_id/:filename', (req, res) => {
-  const { project_id, filename } = req.params;
-  const filePath = path.join(process.cwd(), 'output', project_id, filename);
-  
-  // Debug logging
-  console.log('🔍 Download endpoint debug:');
-  console.log('  process.cwd():', process.cwd());
-  console.log('  project_id:', project_id);
-  console.log('  filename:', filename);
-  console.log('  constructed filePath:', filePath);
-  console.log('  file exists:', fs.existsSync(filePath));
-  
-  if (fs.existsSync(filePath)) {
-    res.download(filePath);
-  } else {
-    res.status(404).json({ error: 'File not found', path: filePath });
-  }
-});
\ No newline at end of file
@@ -1,4 +1,53 @@
 import { DirectorJSON } from '../lib/zod-schemas.js';
+import { planEpisode, CROSSFADE_SECONDS } from '../workers/plan.js';
+import { buildOpenApiDocument } from '../lib/openapi.js';
+import { formatIssues } from '../lib/validate.js';
+import {
+  signPayload,
+  completedPayload,
+  deliverWebhook,
+  resumeDeliveries,
+  pruneDeliveries,
+  listDeliveries,
+  isBlockedAddress
+} from '../lib/webhooks.js';
+import { parseTrackTags } from '../lib/catalog-loader.js';
+import { trackStem, nextVariant } from '../lib/catalog-ingest.js';
+import { timeStage, ttsCache, renderMetrics } from '../lib/metrics.js';
+import { contentHash } from '../lib/build-cache.js';
+import { openCheckpoint, fileRef, stageDone } from '../lib/checkpoint.js';
+import { silenceWav, probeAudio } from '../lib/audio.js';
+import { createLogger, configureLogger, withLogContext, setLogContext } from '../lib/logger.js';
+import {
+  TTS_PROVIDERS,
+  getTtsProvider,
+  fallbackVoiceFor,
+  isProviderDown,
+  voiceCacheId,
+  voiceWithSettings,
+  TtsProviderUnavailableError
+} from '../lib/tts-providers.js';
+import { RetryableError } from '../lib/retry.js';
+import { synthesizeSpeech, speechDuration } from '../lib/mock-tts.js';
+import { ttsForScene } from '../workers/tts.js';
+import { mixScene } from '../workers/mixer.js';
+import { alignScene, computeGap } from '../workers/align.js';
+import { deleteProjectStems, listProjectStems, writeStem } from '../lib/storage.js';
+import { ttsKey } from '../lib/idempotency.js';
+import { resolveArtifactPath, signDownloadUrl, verifyDownloadSignature } from '../lib/downloads.js';
+import { orchestrate, rerenderScene } from '../workers/orchestrator.js';
+import ffmpegPath from 'ffmpeg-static';
+import { parseMarkup, voiceForLine } from '../lib/markup.js';
+import { loadVoiceLibrary, parseCharacterDescription } from '../lib/voice-library.js';
+import { planCasting, castVoices } from '../workers/casting.js';
+import { getVoiceForCharacter, upsertVoiceMap, useLocalVoiceMap } from '../lib/db.js';
+import crypto from 'crypto';
+import { spawn, spawnSync } from 'child_process';
+import net from 'net';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 console.log('🧪 Running Story Magic Orchestrator Tests...\n');
 
@@ -63,4 +112,1229 @@ if (missingVars.length > 0) {
   console.log('\n✅ All environment variables are configured!\n');
 }
 
+// Test 3: Dry-run plan
+console.log('Test 3: Dry-run Plan');
+try {
+  // A project of its own, so no line is cached from an earlier run
+  const plan = await planEpisode({
+    ...testDirectorJSON,
+    project_id: `plan_test_${process.pid}`,
+    scenes: [{ ...testDirectorJSON.scenes[0], music: [{ track_id: 'music/m_does_not_exist_01.mp3', fade_in: 1, fade_out: 1 }] }]
+  });
+  const expectedChars = testDirectorJSON.scenes[0].dialogue.reduce((n, l) => n + l.text.length, 0);
+  if (plan.valid) throw new Error('missing music track was not reported');
+  if (plan.missing_tracks[0]?.track_id !== 'music/m_does_not_exist_01.mp3') throw new Error('wrong missing track');
+  if (plan.tts.new_lines.length !== 2 || plan.tts.cached_lines.length !== 0) throw new Error('lines not all planned as new');
+  if (plan.tts.new_characters !== expectedChars) throw new Error('wrong character count');
+  if (!(plan.estimated_duration > 0)) throw new Error('no duration estimate');
+  console.log('✅ Plan report passed');
+  console.log(`   Missing tracks: ${plan.missing_tracks.length}`);
+  console.log(`   New TTS characters: ${plan.tts.new_characters}`);
+  console.log(`   Estimated duration: ${plan.estimated_duration}s\n`);
+} catch (error) {
+  console.error('❌ Plan report failed:', error.message);
+  process.exit(1);
+}
+
+// Test 4: OpenAPI document and validation errors
+console.log('Test 4: OpenAPI Document and Validation Errors');
+try {
+  const doc = buildOpenApiDocument();
+  const director = doc.components.schemas.DirectorJSON;
+  if (doc.openapi !== '3.0.3') throw new Error('not an OpenAPI 3 document');
+  if (director.properties.scenes.items.$ref !== '#/components/schemas/Scene') throw new Error('scenes should reference Scene');
+  if (!director.required.includes('project_id')) throw new Error('project_id should be required');
+  if (!doc.paths['/jobs'].post.requestBody) throw new Error('/jobs request body missing');
+
+  const bad = DirectorJSON.safeParse({ project_id: 'p', scenes: [{ scene_id: 's', dialogue: [{ line_id: 'l', character: 'A', text: '' }] }] });
+  const issues = formatIssues(bad.error);
+  if (issues[0]?.path !== 'scenes.0.dialogue.0.text') throw new Error(`unexpected issue path ${issues[0]?.path}`);
+  console.log('✅ OpenAPI document and field-level issues passed');
+  console.log(`   Paths: ${Object.keys(doc.paths).length}`);
+  console.log(`   Schemas: ${Object.keys(doc.components.schemas).length}\n`);
+} catch (error) {
+  console.error('❌ OpenAPI test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 5: Webhook payloads and signatures
+console.log('Test 5: Webhook Payloads and Signatures');
+try {
+  const body = JSON.stringify({ event: 'render.completed', project_id: 'p' });
+  const header = signPayload(body, 'whsec_test', 1700000000);
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+  if (header !== `t=1700000000,v1=${expected}`) throw new Error(`unexpected signature header ${header}`);
+
+  const payload = completedPayload({
+    audio_urls: ['u'],
+    manifest: { total: 1 },
+    scenes: [{ scene_id: 's1', loudness: { lufs_i: -16.1, true_peak_db: -1.2 } }, { scene_id: 's2', loudness: null }]
+  });
+  if (payload.scenes[0].lufs_i !== -16.1 || payload.scenes[1].lufs_i !== null) throw new Error('per-scene loudness not mapped');
+
+  if (DirectorJSON.safeParse({ project_id: 'p', callback_url: 'ftp://example.com/x', scenes: [] }).success) {
+    throw new Error('non-http callback_url accepted');
+  }
+  console.log('✅ Webhook payload and signature passed\n');
+} catch (error) {
+  console.error('❌ Webhook test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 6: Catalog filename tags
+console.log('Test 6: Catalog Filename Tags');
+try {
+  const music = parseTrackTags('music', 'm_piano_strings_sad_01.mp3');
+  if (music.mood !== 'sad' || music.instruments.join(',') !== 'piano,strings' || music.variant !== 1) {
+    throw new Error(`unexpected music tags ${JSON.stringify(music)}`);
+  }
+  const sfx = parseTrackTags('sfx', 's_door_knocking_02.mp3');
+  if (sfx.tags.join(',') !== 'door,knocking' || sfx.variant !== 2 || 'mood' in sfx) {
+    throw new Error(`unexpected sfx tags ${JSON.stringify(sfx)}`);
+  }
+  console.log('✅ Catalog tag parsing passed\n');
+} catch (error) {
+  console.error('❌ Catalog tag test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 7: Catalog ingestion naming
+console.log('Test 7: Catalog Ingestion Naming');
+try {
+  if (trackStem('music', { tags: ['Piano', 'sad'] }) !== 'm_piano_sad') throw new Error('tags not normalized');
+  if (trackStem('sfx', { name: 's_door_knocking_07.wav' }) !== 's_door_knocking') throw new Error('variant not stripped from name');
+
+  const rejects = (fn) => { try { fn(); return false; } catch { return true; } };
+  if (!rejects(() => trackStem('music', { tags: ['piano'] }))) throw new Error('music without mood accepted');
+  if (!rejects(() => trackStem('ambience', { name: 'm_rain_01' }))) throw new Error('wrong prefix accepted');
+  if (!rejects(() => trackStem('sfx', { tags: ['door/../x'] }))) throw new Error('unsafe tag accepted');
+
+  const next = nextVariant('music', 'm_orchestra_epic');
+  if (next !== 4) throw new Error(`expected variant 4 after m_orchestra_epic_03, got ${next}`);
+  console.log('✅ Catalog naming passed\n');
+} catch (error) {
+  console.error('❌ Catalog naming test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 8: Prometheus metrics
+console.log('Test 8: Prometheus Metrics');
+try {
+  await timeStage('tts', async () => {});
+  ttsCache.inc({ result: 'hit' });
+  ttsCache.inc({ result: 'hit' });
+  const text = renderMetrics();
+  if (!text.includes('# TYPE storymagic_stage_duration_seconds histogram')) throw new Error('histogram TYPE line missing');
+  if (!text.includes('storymagic_stage_duration_seconds_bucket{stage="tts",le="+Inf"} 1')) throw new Error('tts observation missing');
+  if (!text.includes('storymagic_tts_cache_total{result="hit"} 2')) throw new Error('cache counter missing');
+  if (!text.includes('storymagic_mix_fallbacks_total 0')) throw new Error('zero counter missing');
+  console.log('✅ Metrics exposition passed\n');
+} catch (error) {
+  console.error('❌ Metrics test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 9: Build cache hashing
+console.log('Test 9: Build Cache Content Hashes');
+try {
+  const a = contentHash('timeline', { scene: { scene_id: 's1', intensity: 0.5 }, align: 'abc' });
+  const b = contentHash('timeline', { align: 'abc', scene: { intensity: 0.5, scene_id: 's1' } });
+  if (a !== b) throw new Error('hash depends on key order');
+  if (a === contentHash('mix', { scene: { scene_id: 's1', intensity: 0.5 }, align: 'abc' })) throw new Error('stages share hashes');
+  if (a === contentHash('timeline', { scene: { scene_id: 's1', intensity: 0.6 }, align: 'abc' })) throw new Error('input change not detected');
+  console.log('✅ Build cache hashing passed\n');
+} catch (error) {
+  console.error('❌ Build cache test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 10: Checkpoint resume and integrity checks
+console.log('Test 10: Render Checkpoints');
+const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+try {
+  const scene = { scene_id: 's1', dialogue: [{ line_id: 'l1', character: 'Narrator', text: 'Hi' }] };
+  const stem = path.join(checkpointDir, 'l1.mp3');
+  const output = path.join(checkpointDir, 's1.m4a');
+  fs.writeFileSync(stem, 'stem');
+  fs.writeFileSync(output, 'scene');
+
+  const checkpoint = openCheckpoint(checkpointDir);
+  checkpoint.record(scene, 'tts', { stems: [{ line_id: 'l1', ...fileRef(stem) }] });
+  checkpoint.record(scene, 'mix', { output: fileRef(output) });
+
+  if (openCheckpoint(checkpointDir).resumeState(scene)) throw new Error('resumed without resume mode');
+  const state = openCheckpoint(checkpointDir, { resume: true }).resumeState(scene);
+  if (!stageDone(state, 'mix')) throw new Error('completed scene not resumed');
+  if (openCheckpoint(checkpointDir, { resume: true }).resumeState({ ...scene, mood: 'calm' })) throw new Error('changed scene resumed');
+
+  fs.writeFileSync(output, 'other');
+  const remix = openCheckpoint(checkpointDir, { resume: true }).resumeState(scene);
+  if (remix?.stage !== 'timeline') throw new Error('changed scene file not rolled back to mix');
+
+  fs.rmSync(stem);
+  if (openCheckpoint(checkpointDir, { resume: true }).resumeState(scene)) throw new Error('missing stem not detected');
+  console.log('✅ Checkpoint resume passed\n');
+} catch (error) {
+  console.error('❌ Checkpoint test failed:', error.message);
+  process.exit(1);
+} finally {
+  fs.rmSync(checkpointDir, { recursive: true, force: true });
+}
+
+// Test 11: CLI exit codes
+console.log('Test 11: CLI Validate and Usage Errors');
+const cliDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+try {
+  const cli = (...args) => spawnSync(process.execPath, ['bin/story-magic.js', ...args], { encoding: 'utf8', timeout: 30000 });
+  const invalidFile = path.join(cliDir, 'invalid.json');
+  fs.writeFileSync(invalidFile, JSON.stringify({ scenes: [] }));
+
+  const invalid = cli('validate', invalidFile);
+  if (invalid.status !== 1) throw new Error(`validate exited ${invalid.status} for an invalid file`);
+  if (!invalid.stdout.includes('project_id: Required')) throw new Error('validate did not name the invalid field');
+  if (cli('render', invalidFile, '--concurrency', '0').status !== 2) throw new Error('bad flag was not a usage error');
+  if (cli('frobnicate').status !== 2) throw new Error('unknown command was not a usage error');
+  console.log('✅ CLI exit codes passed\n');
+} catch (error) {
+  console.error('❌ CLI test failed:', error.message);
+  process.exit(1);
+} finally {
+  fs.rmSync(cliDir, { recursive: true, force: true });
+}
+
+// Test 12: Failure policy defaults and silence substitution
+console.log('Test 12: Failure Policy and Silent Stems');
+const silenceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'silence-test-'));
+try {
+  const parsed = DirectorJSON.parse({ project_id: 'p', scenes: [] });
+  if (parsed.failure_policy !== 'fail_fast') throw new Error('failure_policy should default to fail_fast');
+  if (DirectorJSON.safeParse({ project_id: 'p', scenes: [], failure_policy: 'ignore' }).success) {
+    throw new Error('unknown failure_policy accepted');
+  }
+
+  const file = path.join(silenceDir, 'silence.wav');
+  fs.writeFileSync(file, silenceWav(1.5));
+  const info = await probeAudio(file);
+  if (info.sample_rate !== 48000 || info.channels !== 2) throw new Error(`unexpected format ${info.sample_rate} Hz / ${info.channels} ch`);
+  if (Math.abs(info.duration - 1.5) > 0.01) throw new Error(`expected 1.5s of silence, got ${info.duration}s`);
+
+  // Every background track missing: the scene is the dialogue alone, and says so
+  const mixed = await mixScene({
+    scene: { scene_id: 's1' },
+    timeline: { events: [{ type: 'music_in', at: 0, cue_id: 'music/m_missing_99.mp3' }] },
+    stems: [{ line_id: 'l1', path: file }],
+    cues: { music: [{ cue_id: 'music/m_missing_99.mp3' }] },
+    output: path.join(silenceDir, 'scene-s1.m4a')
+  });
+  if (!mixed.dialogue_only || !/missing/.test(mixed.error)) throw new Error(`missing tracks reported as ${JSON.stringify(mixed)}`);
+  console.log('✅ Failure policy and silent stems passed\n');
+} catch (error) {
+  console.error('❌ Failure policy test failed:', error.message);
+  process.exit(1);
+} finally {
+  fs.rmSync(silenceDir, { recursive: true, force: true });
+}
+
+// Test 13: Structured logging context and redaction
+console.log('Test 13: Structured Logging');
+const logLines = [];
+configureLogger({ format: 'json', level: 'debug', write: (level, line) => logLines.push(JSON.parse(line)) });
+process.env.TEST_LOGGER_API_KEY = 'sk_test_0123456789abcdef';
+try {
+  const testLog = createLogger('test');
+  await withLogContext({ project_id: 'proj_log', job_id: 'job_1' }, async () => {
+    await withLogContext({ scene_id: 's1', stage: null }, async () => {
+      setLogContext({ stage: 'tts' });
+      await Promise.resolve();
+      testLog.info('Request failed with key sk_test_0123456789abcdef', { api_key: 'abc', text: 'Hello there', line_id: 'l1' });
+    });
+    testLog.warn('Scene done', new Error('boom'));
+  });
+
+  const [first, second] = logLines;
+  if (first.project_id !== 'proj_log' || first.job_id !== 'job_1' || first.scene_id !== 's1' || first.stage !== 'tts') {
+    throw new Error(`missing log context: ${JSON.stringify(first)}`);
+  }
+  if (first.component !== 'test' || first.level !== 'info' || first.line_id !== 'l1') throw new Error('missing record fields');
+  if (first.api_key !== '[redacted]') throw new Error('api_key was not redacted');
+  if (first.text !== '[11 chars]') throw new Error('text was not replaced by its length');
+  if (first.msg.includes('sk_test_0123456789abcdef')) throw new Error('secret env value leaked into the message');
+  if (second.scene_id || second.job_id !== 'job_1') throw new Error('scene context leaked out of withLogContext');
+  if (second.err?.message !== 'boom') throw new Error('error was not logged as err');
+  console.log('✅ Structured logging passed\n');
+} catch (error) {
+  console.error('❌ Logging test failed:', error.message);
+  process.exit(1);
+} finally {
+  delete process.env.TEST_LOGGER_API_KEY;
+  configureLogger({ format: 'pretty', level: 'info', write: (level, line) => process.stdout.write(line + '\n') });
+}
+
+// Test 14: TTS provider registry
+console.log('Test 14: TTS Provider Registry');
+const savedTtsEnv = { TTS_COMMAND: process.env.TTS_COMMAND, TTS_FALLBACK_PROVIDER: process.env.TTS_FALLBACK_PROVIDER };
+try {
+  for (const name of TTS_PROVIDERS) {
+    const provider = getTtsProvider(name);
+    if (provider.name !== name || !(provider.maxTextLength > 0) || typeof provider.generate !== 'function') {
+      throw new Error(`provider ${name} is incomplete`);
+    }
+  }
+  try {
+    getTtsProvider('nope');
+    throw new Error('unknown provider accepted');
+  } catch (err) {
+    if (!err.message.includes('Unknown TTS provider')) throw err;
+  }
+
+  if (voiceCacheId({ provider: 'elevenlabs', voice_id: 'v1' }) !== 'v1') throw new Error('ElevenLabs cache ids changed');
+  if (voiceCacheId({ provider: 'openai', voice_id: 'alloy' }) !== 'openai:alloy') throw new Error('cache id is not provider-qualified');
+
+  if (!isProviderDown(new TtsProviderUnavailableError('no key'))) throw new Error('unconfigured provider not treated as down');
+  if (!isProviderDown(new RetryableError('busy', 503, true))) throw new Error('503 not treated as down');
+  if (isProviderDown(new RetryableError('bad voice', 400, false))) throw new Error('400 treated as down');
+  const fetchFailed = new TypeError('fetch failed', { cause: Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }) });
+  if (!isProviderDown(fetchFailed)) throw new Error('connection reset not treated as down');
+  if (!isProviderDown(Object.assign(new Error('connect timeout'), { code: 'UND_ERR_CONNECT_TIMEOUT' }))) throw new Error('undici timeout not treated as down');
+  if (!isProviderDown(new DOMException('timed out', 'TimeoutError'))) throw new Error('request timeout not treated as down');
+  if (isProviderDown(new Error('TTS command espeak-ng produced no audio'))) throw new Error('line failure treated as down');
+
+  process.env.TTS_FALLBACK_PROVIDER = 'command';
+  const fallback = fallbackVoiceFor({ provider: 'elevenlabs', voice_id: 'v1', params_json: {} });
+  if (fallback?.provider !== 'command') throw new Error('fallback voice not from TTS_FALLBACK_PROVIDER');
+  if (fallbackVoiceFor({ provider: 'command', voice_id: 'en-us', params_json: {} }) !== null) {
+    throw new Error('provider fell back to itself');
+  }
+
+  // The command adapter pipes the line through the configured binary
+  const command = getTtsProvider('command');
+  process.env.TTS_COMMAND = 'cat';
+  const audio = await command.generate({ voice: { voice_id: 'en-us' }, text: 'Hello there' });
+  if (audio.toString() !== 'Hello there') throw new Error('command adapter did not pass the text on stdin');
+  process.env.TTS_COMMAND = 'no-such-tts-binary-xyz -v {voice}';
+  try {
+    await command.generate({ voice: { voice_id: 'en-us' }, text: 'Hello' });
+    throw new Error('missing binary did not fail');
+  } catch (err) {
+    if (!(err instanceof TtsProviderUnavailableError)) throw err;
+  }
+
+  // voice_id is placed in the argv: options and paths are refused before anything runs
+  process.env.TTS_COMMAND = 'cat';
+  for (const voice_id of ['--help', '../../etc/passwd', 'en us', '']) {
+    try {
+      await command.generate({ voice: { voice_id }, text: 'Hello' });
+      throw new Error(`voice_id ${JSON.stringify(voice_id)} accepted`);
+    } catch (err) {
+      if (!/invalid voice_id/.test(err.message)) throw err;
+      if (isProviderDown(err)) throw new Error('invalid voice_id treated as provider down');
+    }
+  }
+  await command.generate({ voice: { voice_id: 'en-us+f3' }, text: 'Hello' });
+  console.log('✅ TTS provider registry passed\n');
+} catch (error) {
+  console.error('❌ TTS provider test failed:', error.message);
+  process.exit(1);
+} finally {
+  for (const [name, value] of Object.entries(savedTtsEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+}
+
+// Test 15: Mock TTS provider - deterministic stems through the real cache and alignment
+console.log('Test 15: Mock TTS Provider');
+const mockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-tts-test-'));
+const mockProject = `mock_tts_test_${process.pid}`;
+try {
+  const text = 'Hello there, friend. Are you ready?';
+  const wav = synthesizeSpeech(text, { voice_id: 'ann' });
+  if (!wav.equals(synthesizeSpeech(text, { voice_id: 'ann' }))) throw new Error('mock speech is not deterministic');
+  if (wav.equals(synthesizeSpeech(text, { voice_id: 'bob' }))) throw new Error('voices sound identical');
+  if (!(speechDuration('Wait, what') > speechDuration('Wait what'))) throw new Error('punctuation adds no pause');
+  if (!(speechDuration('Extraordinary') > speechDuration('Cat'))) throw new Error('duration ignores syllables');
+
+  const file = path.join(mockDir, 'line.wav');
+  fs.writeFileSync(file, wav);
+  const info = await probeAudio(file);
+  if (info.sample_rate !== 48000 || info.channels !== 2) throw new Error(`unexpected format ${info.sample_rate} Hz / ${info.channels} ch`);
+  if (Math.abs(info.duration - speechDuration(text)) > 0.01) throw new Error(`expected ${speechDuration(text)}s, got ${info.duration}s`);
+
+  const scene = {
+    scene_id: 's1',
+    dialogue: [
+      { line_id: 'l1', character: 'Ann', text: 'Get down, now!' },
+      { line_id: 'l2', character: 'Bob', voice_key: 'gravel', text: 'Why?' }
+    ]
+  };
+  const lines = [];
+  const stems = await ttsForScene(mockProject, scene, { provider: 'mock', onLine: (l) => lines.push(l) });
+  if (lines.some(l => l.cached)) throw new Error('first mock render reported cached lines');
+  lines.length = 0;
+  const again = await ttsForScene(mockProject, scene, { provider: 'mock', onLine: (l) => lines.push(l) });
+  if (!lines.every(l => l.cached) || again[0].path !== stems[0].path) throw new Error('mock stems were not reused from the cache');
+
+  const alignment = await alignScene(mockProject, scene, stems);
+  const first = alignment.lines[0];
+  if (Math.abs(first.end - first.start - speechDuration('Get down, now!')) > 0.01) throw new Error('alignment does not match the stem');
+  if (!(alignment.lines[1].start > first.end)) throw new Error('no gap between aligned lines');
+  console.log('✅ Mock TTS provider passed\n');
+} catch (error) {
+  console.error('❌ Mock TTS test failed:', error.message);
+  process.exit(1);
+} finally {
+  await deleteProjectStems(mockProject);
+  fs.rmSync(mockDir, { recursive: true, force: true });
+}
+
+// Test 16: Dialogue markup - directions, breaks and clean alignment text
+console.log('Test 16: Dialogue Markup');
+const markupProject = `markup_test_${process.pid}`;
+try {
+  const markup = parseMarkup('[whispering] Get down… <break time="1s"/> now!');
+  if (markup.text !== 'Get down… now!') throw new Error(`unexpected clean text "${markup.text}"`);
+  if (markup.segments.length !== 3 || markup.segments[1].pause !== 1) throw new Error('break did not split the line');
+  if (markup.directions[0] !== 'whispering' || !markup.adjust) throw new Error('whisper direction not recognized');
+  if (parseMarkup('Wait <break time="250ms"/> here').pause_seconds !== 0.25) throw new Error('millisecond break misread');
+  if (parseMarkup('<emphasis>Never</emphasis> again').text !== 'Never again') throw new Error('SSML tag not stripped');
+  if (parseMarkup('Plain line.').adjust !== null) throw new Error('plain line got adjustments');
+
+  const voice = voiceForLine({ voice_id: 'v', params_json: { stability: 0.9, similarity_boost: 0.7 } }, parseMarkup('[shouting] Run!'));
+  if (!(voice.params_json.stability < 0.9) || voice.params_json.similarity_boost !== 0.7) throw new Error('shout did not adjust stability only');
+  const whisperVoice = voiceForLine({ voice_id: 'v', params_json: { stability: 0.95 } }, markup);
+  if (whisperVoice.params_json.stability !== 1) throw new Error('adjusted stability was not clamped');
+
+  const next = { character: 'B', text: 'Hi' };
+  if (computeGap({ character: 'A', text: 'Fine. [sighs]' }, next) !== computeGap({ character: 'A', text: 'Fine.' }, next)) {
+    throw new Error('trailing direction hid the sentence end from computeGap');
+  }
+
+  const scene = { scene_id: 's1', dialogue: [{ line_id: 'l1', character: 'Ann', text: '[whispering] Get down… <break time="1s"/> now!' }] };
+  const stems = await ttsForScene(markupProject, scene, { provider: 'mock' });
+  const expected = speechDuration('Get down…', { speed: 0.9 }) + 1 + speechDuration('now!', { speed: 0.9 });
+  const info = await probeAudio(stems[0].path);
+  if (Math.abs(info.duration - expected) > 0.01) throw new Error(`expected a ${expected.toFixed(2)}s stem with the break, got ${info.duration}s`);
+
+  const alignment = await alignScene(markupProject, scene, stems);
+  const [line] = alignment.lines;
+  if (line.text !== 'Get down… now!' || line.tags?.length !== 2) throw new Error('alignment lost the clean text or tags');
+  console.log('✅ Dialogue markup passed\n');
+} catch (error) {
+  console.error('❌ Markup test failed:', error.message);
+  process.exit(1);
+} finally {
+  await deleteProjectStems(markupProject);
+}
+
+// Test 17: Voice settings overrides - project, character and line merge into the stem key
+console.log('Test 17: Voice Settings Overrides');
+const settingsProject = `settings_test_${process.pid}`;
+try {
+  const settings = {
+    voice_settings: { stability: 0.3, speed: 0.8 },
+    characters: { Ann: { voice_settings: { stability: 0.6, style: 0.2 } } }
+  };
+  const base = { provider: 'elevenlabs', voice_id: 'v', params_json: { stability: 0.5, similarity_boost: 0.9 } };
+  const merged = voiceWithSettings(base, { character: 'Ann', voice_settings: { style: 0.5 } }, settings);
+  const expectedParams = { stability: 0.6, similarity_boost: 0.9, style: 0.5, speed: 0.8 };
+  if (JSON.stringify(merged.params_json) !== JSON.stringify(expectedParams)) {
+    throw new Error(`unexpected merge ${JSON.stringify(merged.params_json)}`);
+  }
+  if (voiceWithSettings(base, { character: 'Bob' }) !== base) throw new Error('voice without overrides was copied');
+
+  const director = {
+    project_id: settingsProject,
+    tts_provider: 'mock',
+    ...settings,
+    scenes: [{
+      scene_id: 's1',
+      dialogue: [
+        { line_id: 'l1', character: 'Ann', text: 'Hello there.' },
+        { line_id: 'l2', character: 'Ann', text: 'Hello there.', voice_settings: { speed: 1.2 } }
+      ]
+    }]
+  };
+  if (!DirectorJSON.safeParse(director).success) throw new Error('voice_settings rejected by DirectorJSON');
+  if (DirectorJSON.safeParse({ ...director, voice_settings: { speed: 3 } }).success) throw new Error('out of range speed accepted');
+
+  const stems = await ttsForScene(settingsProject, director.scenes[0], { provider: 'mock', ...settings });
+  const [slow, fast] = await Promise.all(stems.map(s => probeAudio(s.path)));
+  if (Math.abs(slow.duration - speechDuration('Hello there.', { speed: 0.8 })) > 0.01) throw new Error('project speed not applied');
+  if (Math.abs(fast.duration - speechDuration('Hello there.', { speed: 1.2 })) > 0.01) throw new Error('line speed not applied');
+
+  const plan = await planEpisode(director);
+  if (plan.tts.cached_lines.length !== 2) throw new Error('plan did not find the stems under the merged settings');
+  const changed = await planEpisode({ ...director, voice_settings: { speed: 0.9 } });
+  if (changed.tts.new_lines.map(l => l.line_id).join() !== 'l1') throw new Error('changed settings did not invalidate exactly l1');
+  console.log('✅ Voice settings overrides passed\n');
+} catch (error) {
+  console.error('❌ Voice settings test failed:', error.message);
+  process.exit(1);
+} finally {
+  await deleteProjectStems(settingsProject);
+}
+
+// Test 18: Voice casting from the library - description match, no shared voices, persisted
+console.log('Test 18: Voice Casting');
+{
+  const castDir = fs.mkdtempSync(path.join(os.tmpdir(), 'casting-test-'));
+  // Rows go to a scratch file, never to data/voice_map.json or Supabase
+  const restoreVoiceMap = useLocalVoiceMap(path.join(castDir, 'voice_map.json'));
+  try {
+    const library = loadVoiceLibrary();
+    const byId = new Map(library.map(v => [v.voice_id, v]));
+    const traits = parseCharacterDescription('Elderly, gruff male with an Irish lilt', library);
+    if (traits.gender !== 'male' || traits.age !== 'old' || traits.accent !== 'irish' || !traits.tags.includes('gruff')) {
+      throw new Error(`unexpected traits ${JSON.stringify(traits)}`);
+    }
+
+    const castProject = `casting_test_${process.pid}`;
+    const characters = {
+      Captain: { description: 'elderly gruff male, irish sailor' },
+      Mara: { description: 'young cheerful woman' }
+    };
+    const scenes = [{
+      scene_id: 's1',
+      dialogue: [
+        { line_id: 'l1', character: 'Narrator', text: 'Night fell.' },
+        { line_id: 'l2', character: 'Captain', text: 'Hold fast!' },
+        { line_id: 'l3', character: 'Mara', text: 'We made it!' },
+        { line_id: 'l4', character: 'Deckhand', text: 'Aye.' },
+        { line_id: 'l5', character: 'Guest', voice_key: 'guest_voice', text: 'Hello.' }
+      ]
+    }];
+
+    const first = await planCasting(castProject, scenes, { provider: 'elevenlabs', characters });
+    const [captain] = first;
+    if (captain.character !== 'Captain' || captain.name !== 'Fin') throw new Error(`Captain cast as ${captain.name}`);
+    const mara = byId.get(first.find(c => c.character === 'Mara').voice_id);
+    if (mara.gender !== 'female' || mara.age !== 'young') throw new Error(`Mara cast as ${mara.name}`);
+    if (first.some(c => c.character === 'Guest')) throw new Error('voice_key-only character was cast');
+    if (new Set(first.map(c => c.voice_id)).size !== 4) throw new Error('two characters share a voice');
+    if ((await planCasting(castProject, scenes, { provider: 'mock', characters })).length !== 0) throw new Error('mock was cast');
+
+    // A voice already in the project's voice_map is not handed out again
+    await upsertVoiceMap(castProject, 'Narrator', { provider: 'elevenlabs', voice_id: captain.voice_id, params_json: {} });
+    const plan = await planEpisode({ project_id: castProject, characters, scenes });
+    const planned = Object.fromEntries(plan.voices.map(v => [v.character, v]));
+    if (planned.Narrator.source !== 'voice_map' || planned.Captain.source !== 'cast') throw new Error('plan did not report cast voices');
+    const recast = byId.get(planned.Captain.voice_id);
+    if (recast.voice_id === captain.voice_id || recast.gender !== 'male' || recast.age !== 'old') {
+      throw new Error(`Captain recast as ${recast.name}`);
+    }
+
+    const persisted = await castVoices(castProject, scenes, { provider: 'elevenlabs', characters });
+    const row = await getVoiceForCharacter(castProject, 'Captain');
+    if (row?.voice_id !== planned.Captain.voice_id || persisted.length !== 3) throw new Error('casting was not persisted');
+    if ((await planCasting(castProject, scenes, { provider: 'elevenlabs', characters })).length !== 0) {
+      throw new Error('mapped characters were cast again');
+    }
+
+    // More women than female voices: voices are reused before a man's voice is handed out
+    for (const [provider, count] of [['elevenlabs', 14], ['openai', 6]]) {
+      const women = Array.from({ length: count }, (_, i) => `Woman${i}`);
+      const crowd = await planCasting(`casting_crowd_${provider}_${process.pid}`, [{
+        scene_id: 's1',
+        dialogue: women.map((character, i) => ({ line_id: `w${i}`, character, text: 'Hello.' }))
+      }], { provider, characters: Object.fromEntries(women.map(w => [w, { description: 'woman' }])) });
+      const miscast = crowd.map(c => byId.get(c.voice_id)).filter(v => v.gender === 'male');
+      if (crowd.length !== count || miscast.length) throw new Error(`${provider}: women cast as ${miscast.map(v => v.name)}`);
+    }
+    console.log('✅ Voice casting passed\n');
+  } catch (error) {
+    console.error('❌ Casting test failed:', error.message);
+    process.exit(1);
+  } finally {
+    restoreVoiceMap();
+    fs.rmSync(castDir, { recursive: true, force: true });
+  }
+}
+
+// Start server.js in a scratch working directory (its own data/ and output/, no .env,
+// no Supabase) on a free port. files: {relative path: contents} written before start
+async function startServer({ env = {}, files = {} } = {}) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'storymagic-server-'));
+  for (const [file, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+    fs.writeFileSync(path.join(cwd, file), typeof contents === 'string' || Buffer.isBuffer(contents) ? contents : JSON.stringify(contents));
+  }
+  const port = await new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on('error', reject);
+  });
+  const baseEnv = Object.fromEntries(Object.entries(process.env).filter(([k]) => !/^(SUPABASE_|ELEVENLABS_|TENANTS_FILE|DOWNLOAD_SIGNING|WEBHOOK_)/.test(k)));
+  const child = spawn(process.execPath, [path.resolve('server.js')], {
+    cwd,
+    env: { ...baseEnv, LOG_LEVEL: 'error', ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', d => { output += d; });
+  child.stderr.on('data', d => { output += d; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  // A failing test exits the process without reaching its finally block
+  const killChild = () => child.kill('SIGKILL');
+  process.once('exit', killChild);
+
+  const url = `http://127.0.0.1:${port}`;
+  const server = {
+    url,
+    cwd,
+    logs: () => output,
+    request: (route, { key, headers = {}, ...init } = {}) => fetch(url + route, {
+      ...init,
+      headers: { ...(key && { 'X-API-Key': key }), ...(init.body && { 'Content-Type': 'application/json' }), ...headers }
+    }),
+    async stop() {
+      process.off('exit', killChild);
+      // SIGKILL: a server busy with a render can take a while to act on SIGTERM
+      if (child.exitCode === null) child.kill('SIGKILL');
+      await exited;
+      fs.rmSync(cwd, { recursive: true, force: true });
+    }
+  };
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) break;
+    try {
+      if ((await fetch(`${url}/health`)).ok) return server;
+    } catch {
+      // not listening yet
+    }
+    await new Promise(r => setTimeout(r, 100));
+  }
+  await server.stop();
+  throw new Error(`server did not start: ${output.slice(-500)}`);
+}
+
+const TEST_TENANTS = {
+  tenants: [
+    { id: 'acme', api_keys: ['key_acme'] },
+    { id: 'globex', api_keys: ['key_globex'] }
+  ]
+};
+
+// Test 19: Project ownership - tenants only see and change their own projects
+console.log('Test 19: Project Ownership');
+{
+  let server;
+  try {
+    server = await startServer({
+      files: {
+        'data/tenants.json': TEST_TENANTS,
+        'data/project_owners.json': { ep_acme: 'acme' },
+        'output/ep_acme/manifest.json': { total: 1, order: [] },
+        'output/legacy/manifest.json': { total: 1, order: [] }
+      }
+    });
+    const listed = async (key) => (await (await server.request('/projects', { key })).json()).projects.map(p => p.project_id);
+    if ((await listed('key_acme')).join() !== 'ep_acme') throw new Error('acme should list only its project');
+    if ((await listed('key_globex')).length !== 0) throw new Error('globex listed projects it does not own');
+
+    const status = async (route, key, init = {}) => (await server.request(route, { key, ...init })).status;
+    if (await status('/projects/ep_acme', 'key_acme') !== 200) throw new Error('owner could not inspect its project');
+    if (await status('/projects/ep_acme', 'key_globex') !== 403) throw new Error('other tenant could inspect the project');
+    if (await status('/projects/legacy', 'key_acme') !== 404) throw new Error('project without owner was visible');
+    if (await status('/projects/ep_acme', 'key_globex', { method: 'DELETE' }) !== 403) throw new Error('other tenant could delete the project');
+    if (!fs.existsSync(path.join(server.cwd, 'output/ep_acme/manifest.json'))) throw new Error('project deleted by another tenant');
+
+    const director = (project_id) => JSON.stringify({ project_id, scenes: [{ scene_id: 's1', dialogue: [{ line_id: 'l1', character: 'A', text: 'Hi.' }] }] });
+    if (await status('/jobs', 'key_globex', { method: 'POST', body: director('ep_acme') }) !== 403) throw new Error('other tenant could render into the project');
+    if (await status('/jobs', 'key_globex', { method: 'POST', body: director('legacy') }) !== 403) throw new Error('tenant claimed a project without owner');
+    if (await status('/plan', 'key_globex', { method: 'POST', body: director('ep_acme') }) !== 403) throw new Error('other tenant could plan the project');
+
+    if (await status('/projects/ep_acme', 'key_acme', { method: 'DELETE' }) !== 200) throw new Error('owner could not delete its project');
+    const owners = JSON.parse(fs.readFileSync(path.join(server.cwd, 'data/project_owners.json'), 'utf8'));
+    if ('ep_acme' in owners) throw new Error('owner record kept after delete');
+    console.log('✅ Project ownership passed\n');
+  } catch (error) {
+    console.error('❌ Project ownership test failed:', error.message);
+    if (server) console.error(server.logs().slice(-2000));
+    process.exit(1);
+  } finally {
+    await server?.stop();
+  }
+}
+
+// Test 20: Stem ownership - a project id that prefixes another one keeps its stems apart
+console.log('Test 20: Stem Ownership');
+{
+  const base = `stems_test_${process.pid}`;
+  const ids = [base, `${base}_b`];
+  const stemsDir = path.join(process.cwd(), 'data', 'stems');
+  try {
+    // The cache key format is unchanged, so stems cached by earlier versions are still found
+    const key = ttsKey(`${base}_b`, 's1', 'l1', 'voice', {}, 'Line');
+    if (!key.startsWith(`${base}_b_s1_l1_`)) throw new Error(`unexpected stem key ${key}`);
+
+    for (const id of ids) {
+      await writeStem(id, 's1', 'l1', Buffer.from('RIFF'), ttsKey(id, 's1', 'l1', 'voice', {}, `Line of ${id}`));
+    }
+    await writeStem(base, 's1', 'l2', Buffer.from('RIFF'));
+    // Cached before the stem index existed: attributed by prefix and the known project ids
+    fs.writeFileSync(path.join(stemsDir, `${base}_b_s2_l1.wav`), 'RIFF');
+
+    const expected = { [base]: 2, [`${base}_b`]: 2 };
+    for (const id of ids) {
+      const listed = listProjectStems(id, ids).length;
+      if (listed !== expected[id]) throw new Error(`${id} lists ${listed} stems, expected ${expected[id]}`);
+    }
+    const removed = await deleteProjectStems(base, ids);
+    if (removed.local !== 2) throw new Error(`Deleted ${removed.local} stems, expected 2`);
+    if (listProjectStems(`${base}_b`, ids).length !== 2) throw new Error('Deleting a project removed stems of another project');
+    console.log('✅ Stem ownership passed\n');
+  } catch (error) {
+    console.error('❌ Stem ownership test failed:', error.message);
+    process.exit(1);
+  } finally {
+    for (const id of [...ids].reverse()) await deleteProjectStems(id, ids);
+  }
+}
+
+// Test 21: Downloads - path confinement, signed links, Range requests and ownership
+console.log('Test 21: Downloads');
+{
+  let server;
+  const secret = process.env.DOWNLOAD_SIGNING_SECRET;
+  try {
+    for (const [project_id, filename] of [['..', 'episode.m4a'], ['ep', '../secret'], ['ep', '..'], ['a/b', 'x.wav'], ['ep', 'a\\b']]) {
+      if (resolveArtifactPath(project_id, filename) !== null) throw new Error(`Traversal not rejected: ${project_id}/${filename}`);
+    }
+    if (!resolveArtifactPath('ep', 'episode.m4a')?.endsWith(path.join('output', 'ep', 'episode.m4a'))) {
+      throw new Error('Valid artifact path not resolved');
+    }
+    // Renders never write outside output/ either
+    for (const project_id of ['../../x', '..', 'a/b', '.hidden', '']) {
+      if (DirectorJSON.safeParse({ project_id, scenes: [] }).success) throw new Error(`project_id ${project_id} accepted`);
+    }
+    const escaped = await rerenderScene('../../x', { scene_id: 's1', dialogue: [] }).then(() => null, err => err.message);
+    if (!/Invalid project_id/.test(escaped)) throw new Error(`re-render outside output/ not rejected: ${escaped}`);
+
+    process.env.DOWNLOAD_SIGNING_SECRET = 'test-secret';
+    const { url } = signDownloadUrl('ep', 'episode.m4a', 60);
+    const params = new URL(url, 'http://localhost').searchParams;
+    const [expires, sig] = [params.get('expires'), params.get('sig')];
+    const reason = (...args) => verifyDownloadSignature(...args).reason;
+    if (!verifyDownloadSignature('ep', 'episode.m4a', expires, sig).valid) throw new Error('Valid signature rejected');
+    if (reason('ep', 'other.m4a', expires, sig) !== 'Invalid signature') throw new Error('Signature not bound to the file');
+    if (reason('ep', 'episode.m4a', String(Number(expires) + 1), sig) !== 'Invalid signature') throw new Error('Signature not bound to the expiry');
+    if (reason('ep', 'episode.m4a', expires, 'zz') !== 'Invalid signature') throw new Error('Malformed signature accepted');
+    if (reason('ep', 'episode.m4a', expires, undefined) !== 'Missing signature') throw new Error('Missing signature accepted');
+    const past = Math.floor(Date.now() / 1000) - 10;
+    const expired = new URL(signDownloadUrl('ep', 'episode.m4a', -10).url, 'http://localhost').searchParams.get('sig');
+    if (reason('ep', 'episode.m4a', String(past), expired) !== 'Link expired') throw new Error('Expired link accepted');
+
+    const audio = crypto.randomBytes(1000);
+    server = await startServer({
+      env: { DOWNLOAD_SIGNING_SECRET: 'test-secret' },
+      files: {
+        'data/tenants.json': TEST_TENANTS,
+        'data/project_owners.json': { ep_acme: 'acme' },
+        'output/ep_acme/episode.m4a': audio
+      }
+    });
+
+    const ranged = await server.request('/download/ep_acme/episode.m4a', { key: 'key_acme', headers: { Range: 'bytes=100-199' } });
+    const body = Buffer.from(await ranged.arrayBuffer());
+    if (ranged.status !== 206) throw new Error(`Range request returned ${ranged.status}`);
+    if (ranged.headers.get('content-range') !== 'bytes 100-199/1000' || !body.equals(audio.subarray(100, 200))) {
+      throw new Error('Range response has the wrong bytes');
+    }
+    if ((await server.request('/download/ep_acme/episode.m4a', { key: 'key_acme', headers: { Range: 'bytes=5000-' } })).status !== 416) {
+      throw new Error('Unsatisfiable range not rejected');
+    }
+    if ((await server.request('/download/ep_acme/..%2Fep_acme%2Fepisode.m4a', { key: 'key_acme' })).status !== 400) {
+      throw new Error('Encoded traversal not rejected');
+    }
+
+    if ((await server.request('/download/ep_acme/episode.m4a', { key: 'key_globex' })).status !== 403) throw new Error('Other tenant could download');
+    if ((await server.request('/download-link/ep_acme/episode.m4a', { key: 'key_globex' })).status !== 403) throw new Error('Other tenant could mint a link');
+
+    const link = await (await server.request('/download-link/ep_acme/episode.m4a', { key: 'key_acme' })).json();
+    const signed = await server.request(link.url);
+    if (signed.status !== 200 || !Buffer.from(await signed.arrayBuffer()).equals(audio)) throw new Error('Signed link did not download');
+    const tampered = await server.request(link.url.replace(/sig=[0-9a-f]/, m => m.slice(0, -1) + (m.endsWith('0') ? '1' : '0')));
+    if (tampered.status !== 403) throw new Error(`Tampered signature returned ${tampered.status}`);
+    const stale = await server.request(link.url.replace(/expires=\d+/, `expires=${past}`));
+    if (stale.status !== 403 || (await stale.json()).message !== 'Link expired') throw new Error('Expired link not rejected');
+    if ((await server.request('/download/ep_acme/episode.m4a')).status !== 401) throw new Error('Unsigned download without a key allowed');
+    console.log('✅ Downloads passed\n');
+  } catch (error) {
+    console.error('❌ Downloads test failed:', error.message);
+    if (server) console.error(server.logs().slice(-2000));
+    process.exit(1);
+  } finally {
+    if (secret === undefined) delete process.env.DOWNLOAD_SIGNING_SECRET;
+    else process.env.DOWNLOAD_SIGNING_SECRET = secret;
+    await server?.stop();
+  }
+}
+
+// Renders need the ffmpeg binary, which ffmpeg-static downloads on install
+const ffmpegAvailable = !!ffmpegPath && fs.existsSync(ffmpegPath);
+
+// Test 22: Scene re-render - scenes skipped by the last render can be re-rendered
+console.log('Test 22: Scene Re-render after skip_scene');
+{
+  let server;
+  const project_id = `rerender_test_${process.pid}`;
+  const line = (id, text) => ({ line_id: id, character: 'Narrator', text });
+  const scenes = [
+    { scene_id: 's1', dialogue: [line('l1', 'By noon the sky had turned black, and a storm was coming for them.')], music: [{ track_id: 'music/m_missing_99.mp3', fade_in: 1, fade_out: 1 }] },
+    { scene_id: 's2', dialogue: [line('l2', 'Three days later, against every expectation, they made it home.')] }
+  ];
+  try {
+    const manifest = {
+      project_id: 'ep_acme',
+      order: [{ scene_id: 's1', path: 'scene-s1.m4a' }, { scene_id: 's3', path: 'scene-s3.m4a' }],
+      scene_ids: ['s1', 's2', 's3'],
+      total: 10,
+      degraded: [{ scene_id: 's2', scene_index: 1, skipped: true, issues: [] }]
+    };
+    server = await startServer({
+      files: {
+        'data/tenants.json': TEST_TENANTS,
+        'data/project_owners.json': { ep_acme: 'acme' },
+        'output/ep_acme/manifest.json': manifest
+      }
+    });
+    const render = (scene_id, key) => server.request(`/projects/ep_acme/scenes/${scene_id}/render`, {
+      key,
+      method: 'POST',
+      body: JSON.stringify({ dialogue: [line('l2', 'A storm was coming.')], tts_provider: 'mock' })
+    });
+    if ((await render('s2', 'key_acme')).status !== 202) throw new Error('skipped scene could not be re-rendered');
+    if ((await render('s9', 'key_acme')).status !== 404) throw new Error('unknown scene accepted');
+    if ((await render('s2', 'key_globex')).status !== 403) throw new Error('other tenant could re-render the scene');
+
+    if (!ffmpegAvailable) {
+      console.log('⏭️  Skipping the render part (ffmpeg binary not installed)');
+    } else {
+      const first = await orchestrate({ project_id, failure_policy: 'skip_scene', tts_provider: 'mock', scenes });
+      if (first.manifest.order.map(o => o.scene_id).join() !== 's2') throw new Error('s1 was not skipped');
+      if (first.manifest.scene_ids.join() !== 's1,s2') throw new Error('manifest does not list every scene');
+
+      const fixed = { ...scenes[0], music: undefined };
+      const result = await rerenderScene(project_id, fixed, { tts_provider: 'mock' });
+      if (result.manifest.order.map(o => o.scene_id).join() !== 's1,s2') throw new Error('re-rendered scene not back in its place');
+      if (result.degraded.length !== 0) throw new Error('re-rendered scene still reported as skipped');
+    }
+    console.log('✅ Scene re-render after skip_scene passed\n');
+  } catch (error) {
+    console.error('❌ Scene re-render test failed:', error.message);
+    if (server) console.error(server.logs().slice(-2000));
+    process.exit(1);
+  } finally {
+    await server?.stop();
+    fs.rmSync(path.join('output', project_id), { recursive: true, force: true });
+    await deleteProjectStems(project_id);
+  }
+}
+
+// Test 23: Authentication and quotas - 401 / 403 / 429, and a broken tenants file fails closed
+console.log('Test 23: Authentication and Quotas');
+{
+  let server;
+  try {
+    server = await startServer({
+      // Every TTS request of the command provider takes 5 s, so a job keeps its slot while we look
+      env: { TTS_COMMAND: 'sleep 5' },
+      files: {
+        'data/tenants.json': {
+          tenants: [
+            { id: 'acme', api_keys: ['key_acme'], limits: { concurrent_jobs: 1 } },
+            { id: 'globex', api_keys: ['key_globex'], limits: { tts_chars_per_day: 10 } },
+            { id: 'initech', api_keys: ['key_initech'], disabled: true }
+          ]
+        }
+      }
+    });
+    if ((await server.request('/usage')).status !== 401) throw new Error('missing key not rejected with 401');
+    if ((await server.request('/usage', { key: 'key_unknown' })).status !== 401) throw new Error('unknown key not rejected with 401');
+    if ((await server.request('/usage', { headers: { Authorization: 'Bearer key_acme' } })).status !== 200) throw new Error('bearer key rejected');
+    if ((await server.request('/usage', { key: 'key_initech' })).status !== 403) throw new Error('disabled tenant not rejected with 403');
+
+    const director = (project_id) => JSON.stringify({
+      project_id,
+      tts_provider: 'command',
+      scenes: [{ scene_id: 's1', dialogue: [{ line_id: 'l1', character: 'A', text: 'More than ten characters.' }] }]
+    });
+    const overQuota = await server.request('/jobs', { key: 'key_globex', method: 'POST', body: director('quota_ep') });
+    if (overQuota.status !== 429) throw new Error(`TTS quota not enforced (${overQuota.status})`);
+
+    const jobs = await Promise.all(['race_a', 'race_b'].map(id => server.request('/jobs', { key: 'key_acme', method: 'POST', body: director(id) })));
+    const statuses = jobs.map(r => r.status).sort();
+    if (statuses.join() !== '202,429') throw new Error(`parallel jobs over the concurrency limit returned ${statuses}`);
+    const sync = await server.request('/orchestrate', { key: 'key_acme', method: 'POST', body: director('race_c') });
+    if (sync.status !== 429) throw new Error(`synchronous render ignored the concurrency limit (${sync.status})`);
+    const usage = await (await server.request('/usage', { key: 'key_acme' })).json();
+    if (usage.active_jobs !== 1) throw new Error(`expected 1 active job, got ${usage.active_jobs}`);
+    const { job_id } = await jobs.find(r => r.status === 202).json();
+    await server.request(`/jobs/${job_id}`, { key: 'key_acme', method: 'DELETE' });
+    await server.stop();
+
+    server = await startServer({ files: { 'data/tenants.json': '{ "tenants": [' } });
+    if ((await server.request('/health')).status !== 200) throw new Error('health check needs tenants');
+    const closed = await server.request('/projects');
+    if (closed.status !== 503) throw new Error(`corrupt tenants file did not fail closed (${closed.status})`);
+    if ((await server.request('/projects', { key: 'key_acme' })).status !== 503) throw new Error('key accepted without tenants');
+    console.log('✅ Authentication and quotas passed\n');
+  } catch (error) {
+    console.error('❌ Authentication and quotas test failed:', error.message);
+    if (server) console.error(server.logs().slice(-2000));
+    process.exit(1);
+  } finally {
+    await server?.stop();
+  }
+}
+
+// Test 24: Jobs - state transitions, one render per project, SSE, restore and retention
+console.log('Test 24: Job Lifecycle');
+{
+  let server;
+  const director = (project_id) => ({
+    project_id,
+    tts_provider: 'command',
+    scenes: [{ scene_id: 's1', dialogue: [{ line_id: 'l1', character: 'A', text: 'Hello.' }] }]
+  });
+  const jobRecord = (fields) => ({
+    kind: 'episode',
+    tenant_id: 'acme',
+    resume: false,
+    step: null,
+    percent: 0,
+    events: [],
+    result: null,
+    error: null,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    ...fields,
+    scenes: [{ scene_id: 's1', scene_index: 0, step: 'tts' }],
+    director: director(fields.project_id)
+  });
+  const restoredId = crypto.randomUUID();
+  const expiredId = crypto.randomUUID();
+  const monthAgo = new Date(Date.now() - 30 * 86400 * 1000).toISOString();
+  try {
+    server = await startServer({
+      // The command provider's TTS takes 2 s and returns no audio, so every job runs for a while and then fails
+      env: { TTS_COMMAND: 'sleep 2' },
+      files: {
+        'data/tenants.json': TEST_TENANTS,
+        'data/project_owners.json': { ep_restored: 'acme', ep_old: 'acme' },
+        [`data/jobs/${restoredId}.json`]: jobRecord({ id: restoredId, project_id: 'ep_restored', state: 'running' }),
+        [`data/jobs/${expiredId}.json`]: jobRecord({ id: expiredId, project_id: 'ep_old', state: 'done', finished_at: monthAgo })
+      }
+    });
+    const getJob = async (id) => (await server.request(`/jobs/${id}`, { key: 'key_acme' })).json();
+    const waitFinished = async (id) => {
+      for (let i = 0; i < 200; i++) {
+        const job = await getJob(id);
+        if (['done', 'failed', 'cancelled'].includes(job.state)) return job;
+        await new Promise(r => setTimeout(r, 100));
+      }
+      throw new Error(`job ${id} did not finish`);
+    };
+
+    const restored = await getJob(restoredId);
+    if (!['queued', 'running'].includes(restored.state) || !restored.resume) throw new Error('unfinished job not re-queued in resume mode');
+    const restoredRecord = JSON.parse(fs.readFileSync(path.join(server.cwd, 'data/jobs', `${restoredId}.json`), 'utf8'));
+    if (!restoredRecord.events.some(e => e.type === 'requeued')) throw new Error('re-queued job has no requeued event');
+    if ((await server.request(`/jobs/${expiredId}`, { key: 'key_acme' })).status !== 404) throw new Error('expired job not pruned');
+    if (fs.existsSync(path.join(server.cwd, 'data/jobs', `${expiredId}.json`))) throw new Error('expired job record kept');
+
+    const post = (route, project_id) => server.request(route, { key: 'key_acme', method: 'POST', body: JSON.stringify(director(project_id)) });
+    const created = await post('/jobs', 'ep_life');
+    const { job_id, state } = await created.json();
+    if (created.status !== 202 || state !== 'queued') throw new Error(`job not queued (${created.status} ${state})`);
+    const busy = await post('/jobs', 'ep_life');
+    if (busy.status !== 409 || !(await busy.json()).job_ids.includes(job_id)) throw new Error('second job for a busy project not rejected');
+    if ((await post('/orchestrate', 'ep_life')).status !== 409) throw new Error('synchronous render of a busy project not rejected');
+    if ((await server.request('/projects/ep_life', { key: 'key_acme', method: 'DELETE' })).status !== 409) throw new Error('busy project deleted');
+
+    const stream = await server.request(`/jobs/${job_id}/events`, { key: 'key_acme', signal: AbortSignal.timeout(30000) });
+    if (stream.headers.get('content-type') !== 'text/event-stream') throw new Error('events are not an SSE stream');
+    const events = (await stream.text()).split('\n\n').filter(Boolean).map(block => ({
+      id: Number(block.match(/^id: (\d+)$/m)?.[1]),
+      type: block.match(/^event: (.+)$/m)?.[1],
+      data: JSON.parse(block.match(/^data: (.+)$/m)?.[1] || 'null')
+    }));
+    if (events.at(-1)?.type !== 'error' || !events.some(e => e.type === 'step_started')) {
+      throw new Error(`unexpected event stream: ${events.map(e => e.type).join(', ')}`);
+    }
+    if (events.some((e, i) => e.id !== i + 1 || e.data.seq !== e.id)) throw new Error('event ids are not sequential');
+
+    const failed = await waitFinished(job_id);
+    if (failed.state !== 'failed' || !failed.error?.message.includes('produced no audio')) throw new Error(`expected a failed job, got ${failed.state}`);
+    if (!failed.started_at || !failed.finished_at) throw new Error('job timestamps missing');
+    const record = JSON.parse(fs.readFileSync(path.join(server.cwd, 'data/jobs', `${job_id}.json`), 'utf8'));
+    if (record.state !== 'failed' || record.events.at(-1).type !== 'error') throw new Error('final job state not persisted');
+    const replay = await (await server.request(`/jobs/${job_id}/events`, { key: 'key_acme', headers: { 'Last-Event-ID': String(events.length - 1) } })).text();
+    if (!/^event: error$/m.test(replay) || /^event: step_started$/m.test(replay)) throw new Error('Last-Event-ID replay is wrong');
+
+    const again = await post('/jobs', 'ep_life');
+    const second = (await again.json()).job_id;
+    if (again.status !== 202) throw new Error('project still busy after its job finished');
+    const cancel = await server.request(`/jobs/${second}`, { key: 'key_acme', method: 'DELETE' });
+    if (cancel.status !== 202) throw new Error(`cancel returned ${cancel.status}`);
+    if ((await waitFinished(second)).state !== 'cancelled') throw new Error('cancelled job did not end in cancelled');
+    console.log('✅ Job lifecycle passed\n');
+  } catch (error) {
+    console.error('❌ Job lifecycle test failed:', error.message);
+    if (server) console.error(server.logs().slice(-2000));
+    process.exit(1);
+  } finally {
+    await server?.stop();
+  }
+}
+
+// Test 25: Cancel cleanup - a cancelled render removes its unfinished files and nothing else
+console.log('Test 25: Cancel Cleanup');
+{
+  const cancelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cancel-test-'));
+  const projectDir = path.join(cancelDir, 'ep');
+  const project_id = `cancel_test_${process.pid}`;
+  const ttsCommand = process.env.TTS_COMMAND;
+  const restoreVoiceMap = useLocalVoiceMap(path.join(cancelDir, 'voice_map.json'));
+  // Render until a step starts, then cancel; another writer adds a file to the project meanwhile
+  const renderAndCancel = async (options, cancelAt = 'align') => {
+    const controller = new AbortController();
+    const outcome = await orchestrate({
+      project_id,
+      scenes: [{ scene_id: 's1', dialogue: [{ line_id: 'l1', character: 'A', text: 'Hello there.' }] }],
+      ...options
+    }, {
+      output_dir: projectDir,
+      signal: controller.signal,
+      onEvent: (event) => {
+        if (event.type === 'tts_line_done') fs.writeFileSync(path.join(projectDir, 'other-job.txt'), 'not ours');
+        if (event.type === 'step_started' && event.step === cancelAt) controller.abort();
+      }
+    }).then(() => 'done', () => 'rejected');
+    if (outcome !== 'rejected') throw new Error('cancelled render did not reject');
+    const leftovers = fs.readdirSync(projectDir, { recursive: true }).filter(f => /\.tmp\b/.test(f));
+    if (leftovers.length) throw new Error(`unfinished files left behind: ${leftovers.join(', ')}`);
+  };
+  try {
+    fs.mkdirSync(projectDir);
+    fs.writeFileSync(path.join(projectDir, 'scene-s0.m4a'), 'from an earlier render');
+
+    // `false` fails every line; under degrade each becomes a silence file written by the render
+    process.env.TTS_COMMAND = 'false';
+    await renderAndCancel({ failure_policy: 'degrade', tts_provider: 'command' });
+    for (const kept of ['scene-s0.m4a', 'other-job.txt']) {
+      if (!fs.existsSync(path.join(projectDir, kept))) throw new Error(`${kept} was removed`);
+    }
+
+    // A clean TTS stage is checkpointed; the checkpoint outlives the cancel so a resume can use it
+    await renderAndCancel({ tts_provider: 'mock' });
+    const checkpoint = JSON.parse(fs.readFileSync(path.join(projectDir, 'checkpoint.json'), 'utf8'));
+    if (!JSON.stringify(checkpoint).includes('"tts"')) throw new Error('checkpointed TTS stage was lost');
+
+    // Re-rendering a finished project: a cancelled mix or export keeps the previous outputs
+    const previous = ['scene-s1.m4a', 'dialogue-s1.m4a', 'episode.m4a', 'manifest.json'];
+    for (const file of previous) fs.writeFileSync(path.join(projectDir, file), `previous ${file}`);
+    for (const step of ffmpegAvailable ? ['mix', 'export'] : ['mix']) {
+      await renderAndCancel({ tts_provider: 'mock' }, step);
+      // A scene mix that completed before the cancel has replaced its scene files
+      for (const file of step === 'export' ? ['episode.m4a', 'manifest.json'] : previous) {
+        if (fs.readFileSync(path.join(projectDir, file), 'utf8') !== `previous ${file}`) throw new Error(`cancelled ${step} replaced ${file}`);
+      }
+    }
+    console.log('✅ Cancel cleanup passed\n');
+  } catch (error) {
+    console.error('❌ Cancel cleanup test failed:', error.message);
+    process.exit(1);
+  } finally {
+    if (ttsCommand === undefined) delete process.env.TTS_COMMAND;
+    else process.env.TTS_COMMAND = ttsCommand;
+    restoreVoiceMap();
+    fs.rmSync(cancelDir, { recursive: true, force: true });
+    await deleteProjectStems(project_id);
+  }
+}
+
+// Test 26: Webhook delivery - non-public callback targets are refused, pending deliveries resume
+console.log('Test 26: Webhook Delivery');
+{
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      received.push(req.headers['x-storymagic-delivery']);
+      res.end('ok');
+    });
+  });
+  const envBefore = { retries: process.env.WEBHOOK_MAX_RETRIES, allowed: process.env.WEBHOOK_ALLOWED_HOSTS };
+  const deliveryIds = [];
+  const deliveriesDir = path.join(process.cwd(), 'data', 'webhooks');
+  const project_id = `webhook_test_${process.pid}`;
+  const deliver = async (url) => {
+    const delivery = await deliverWebhook({ url, event: 'render.cancelled', project_id });
+    deliveryIds.push(delivery.id);
+    return delivery;
+  };
+  try {
+    for (const address of ['127.0.0.1', '10.1.2.3', '169.254.169.254', '192.168.0.1', '::1', 'fe80::1', 'fd00:ec2::254', '::ffff:127.0.0.1']) {
+      if (!isBlockedAddress(address)) throw new Error(`${address} not blocked`);
+    }
+    for (const address of ['93.184.216.34', '2606:4700::1111']) {
+      if (isBlockedAddress(address)) throw new Error(`${address} blocked`);
+    }
+
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    const port = receiver.address().port;
+    process.env.WEBHOOK_MAX_RETRIES = '0';
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+    // Loopback by IP literal and by name: refused before anything is sent, and not retried
+    for (const url of [`http://127.0.0.1:${port}/hook`, `http://localhost:${port}/hook`]) {
+      const delivery = await deliver(url);
+      if (delivery.status !== 'failed' || delivery.attempts.length !== 1) throw new Error(`${url} not refused`);
+      if (!/non-public/.test(delivery.attempts[0].error)) throw new Error(`unexpected error: ${delivery.attempts[0].error}`);
+    }
+    if (received.length) throw new Error('refused callback reached the receiver');
+
+    // Allow-listed hosts are trusted wherever they resolve; other hosts are refused
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    if ((await deliver(`http://127.0.0.1:${port}/hook`)).status !== 'delivered') throw new Error('allow-listed host not delivered');
+    if ((await deliver(`http://localhost:${port}/hook`)).status !== 'failed') throw new Error('host outside the allow-list delivered');
+
+    // A delivery left pending by a previous run is resent on startup
+    const pending = {
+      id: crypto.randomUUID(),
+      job_id: null,
+      tenant_id: null,
+      project_id,
+      event: 'render.cancelled',
+      url: `http://127.0.0.1:${port}/hook`,
+      status: 'pending',
+      attempts: [],
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      delivered_at: null,
+      body: JSON.stringify({ event: 'render.cancelled', project_id })
+    };
+    deliveryIds.push(pending.id);
+    fs.writeFileSync(path.join(deliveriesDir, `${pending.id}.json`), JSON.stringify(pending));
+    if (resumeDeliveries() !== 1) throw new Error('pending delivery not resumed');
+    for (let i = 0; i < 50 && !received.includes(pending.id); i++) await new Promise(r => setTimeout(r, 100));
+    await new Promise(r => setTimeout(r, 100));
+    const resumed = listDeliveries({ project_id }).find(d => d.id === pending.id);
+    if (resumed?.status !== 'delivered') throw new Error(`resumed delivery is ${resumed?.status}`);
+    if ('body' in resumed) throw new Error('delivery log exposes bodies');
+
+    // Finished deliveries are pruned once past WEBHOOK_RETENTION_HOURS, pending ones are kept
+    const stillPending = { ...pending, id: crypto.randomUUID() };
+    deliveryIds.push(stillPending.id);
+    fs.writeFileSync(path.join(deliveriesDir, `${stillPending.id}.json`), JSON.stringify(stillPending));
+    if (pruneDeliveries() !== 0) throw new Error('fresh deliveries pruned');
+    pruneDeliveries(Date.now() + 169 * 3600 * 1000);
+    const left = listDeliveries({ project_id });
+    if (left.length !== 1 || left[0].id !== stillPending.id) throw new Error(`after pruning: ${left.map(d => d.status).join(', ')}`);
+    console.log('✅ Webhook delivery passed\n');
+  } catch (error) {
+    console.error('❌ Webhook delivery test failed:', error.message);
+    process.exit(1);
+  } finally {
+    for (const [key, value] of [['WEBHOOK_MAX_RETRIES', envBefore.retries], ['WEBHOOK_ALLOWED_HOSTS', envBefore.allowed]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    receiver.close();
+    for (const id of deliveryIds) fs.rmSync(path.join(deliveriesDir, `${id}.json`), { force: true });
+  }
+}
+
+// Test 27: Readiness - a missing binary, provider key or catalog gives 503 naming the failed check
+console.log('Test 27: Readiness');
+{
+  const servers = [];
+  const ready = async (options) => {
+    const server = await startServer(options);
+    servers.push(server);
+    const res = await server.request('/ready');
+    return { status: res.status, report: await res.json() };
+  };
+  try {
+    const broken = await ready({
+      env: { FFMPEG_BIN: '/nonexistent/ffmpeg', TTS_PROVIDER: 'elevenlabs', TTS_FALLBACK_PROVIDER: '' },
+      files: { 'catalog/music/m_piano_sad_01.mp3': 'x' }
+    });
+    if (broken.status !== 503 || broken.report.ready) throw new Error(`missing ffmpeg and key gave ${broken.status}`);
+    for (const name of ['ffmpeg', 'tts_provider']) {
+      const check = broken.report.checks.find(c => c.name === name);
+      if (!broken.report.failed.includes(name) || check.ok || !check.error) throw new Error(`${name} not reported as failed`);
+    }
+    if (!/ElevenLabs/.test(broken.report.checks.find(c => c.name === 'tts_provider').error)) throw new Error('provider not named');
+    if (broken.report.failed.includes('catalog')) throw new Error('catalog with a track reported as failed');
+
+    const empty = await ready({ env: { TTS_PROVIDER: 'mock', TTS_FALLBACK_PROVIDER: 'elevenlabs' } });
+    if (empty.status !== 503 || !empty.report.failed.includes('catalog')) throw new Error('empty catalog not reported');
+    if (empty.report.failed.includes('tts_provider')) throw new Error('mock provider reported as not configured');
+    // An unconfigured fallback provider is reported but does not fail readiness on its own
+    const fallback = empty.report.checks.find(c => c.name === 'tts_fallback_provider');
+    if (!fallback || fallback.ok || fallback.required) throw new Error('fallback provider check missing or required');
+    console.log('✅ Readiness passed\n');
+  } catch (error) {
+    console.error('❌ Readiness test failed:', error.message);
+    process.exit(1);
+  } finally {
+    for (const server of servers) await server.stop();
+  }
+}
+
+// Test 28: Parallel scenes - SCENE_CONCURRENCY > 1 keeps scene order and crossfade offsets
+console.log('Test 28: Parallel Scenes');
+if (!ffmpegAvailable) {
+  console.log('⏭️  Skipping (ffmpeg binary not installed)\n');
+} else {
+  const parallelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parallel-test-'));
+  const project_id = `parallel_test_${process.pid}`;
+  const line = (id, text) => ({ line_id: id, character: 'Narrator', text });
+  // s1 is much longer than s2 / s3, so with three scenes at once it finishes last
+  const scenes = [
+    { scene_id: 's1', dialogue: [1, 2, 3, 4].map(n => line(`l1_${n}`, `Long ago, in a kingdom by the sea, part ${n} of the story slowly began to unfold.`)) },
+    { scene_id: 's2', dialogue: [line('l2', 'Then the storm came.')] },
+    { scene_id: 's3', dialogue: [line('l3', 'And it was over.')] }
+  ];
+  const render = async (concurrency) => {
+    const finished = [];
+    const result = await orchestrate({ project_id, tts_provider: 'mock', scenes }, {
+      concurrency,
+      output_dir: path.join(parallelDir, `c${concurrency}`),
+      onEvent: (event) => {
+        if (event.type === 'scene_done') finished.push(event.scene_id);
+      }
+    });
+    return { manifest: result.manifest, finished };
+  };
+  try {
+    const serial = await render(1);
+    const parallel = await render(3);
+    if (parallel.finished.join() === 's1,s2,s3') throw new Error('scenes did not finish out of order - nothing ran in parallel');
+
+    for (const { manifest } of [serial, parallel]) {
+      if (manifest.order.map(o => o.scene_id).join() !== 's1,s2,s3') throw new Error(`scene order ${manifest.order.map(o => o.scene_id)}`);
+      manifest.order.slice(1).forEach((o, i) => {
+        const prev = manifest.order[i];
+        if (Math.abs(o.offset - (prev.offset + prev.duration - CROSSFADE_SECONDS)) > 0.01) throw new Error(`${o.scene_id} offset ${o.offset} ignores the crossfade`);
+      });
+    }
+    serial.manifest.order.forEach((o, i) => {
+      if (Math.abs(o.offset - parallel.manifest.order[i].offset) > 0.01) throw new Error(`${o.scene_id} offset differs between serial and parallel renders`);
+    });
+    console.log('✅ Parallel scenes passed\n');
+  } catch (error) {
+    console.error('❌ Parallel scenes test failed:', error.message);
+    process.exit(1);
+  } finally {
+    fs.rmSync(parallelDir, { recursive: true, force: true });
+    await deleteProjectStems(project_id);
+  }
+}
+
 console.log('🎉 Tests complete!');
\ No newline at end of file
@@ -1,7 +1,12 @@
 // workers/align.js - UPDATED WITH WHISPER INTEGRATION
 import { audioDurationSec } from '../lib/audio.js';
 import { whisperAlign, mapWordsToText } from './whisper-align.js';
+import { alignmentFallbacks } from '../lib/metrics.js';
+import { parseMarkup, cleanText } from '../lib/markup.js';
 import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('align');
 
 const sb = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
   ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY)
@@ -9,16 +14,17 @@ const sb = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
 
 /**
  * Context-aware gap computation
- * Adjusts gaps based on punctuation, character changes, and intensity
+ * Adjusts gaps based on punctuation (of the text without markup), character changes, and intensity
  */
 const strong = (s) => /[.!?]"?$/.test(s.trim());
 const comma = (s) => /[,:;]"?$/.test(s.trim());
 
 export function computeGap(current, next, intensity = 0.5) {
   let base = 0.30;
+  const text = cleanText(current.text);
   
-  if (strong(current.text)) base = 0.60;
-  else if (comma(current.text)) base = 0.40;
+  if (strong(text)) base = 0.60;
+  else if (comma(text)) base = 0.40;
   
   if (next && current.character !== next.character) base += 0.40;
   
@@ -30,14 +36,20 @@ export function computeGap(current, next, intensity = 0.5) {
 /**
  * Align scene dialogue with context-aware pacing
  * Uses Whisper ASR if available, falls back to duration-based
+ * Lines carry their text without markup (for subtitles) and the markup tags with
+ * their offsets in that text
  * 
  * @param {string} project_id - Project ID
  * @param {Object} scene - Scene object with dialogue
  * @param {Array} stems - Array of {line_id, path} dialogue stems
  * @param {Object} providerAlignment - Optional provider-supplied alignment
+ * @param {Object} options - Optional settings
+ * @param {AbortSignal} options.signal - Cancels alignment between lines and kills whisper
  * @returns {Object} Alignment object with lines and words
  */
-export async function alignScene(project_id, scene, stems, providerAlignment) {
+export async function alignScene(project_id, scene, stems, providerAlignment, options = {}) {
+  const { signal } = options;
+
   // If provider already gave us alignment, use it
   if (providerAlignment?.lines?.length) {
     const lines = providerAlignment.lines.slice().sort((a, b) => a.start - b.start);
@@ -52,9 +64,11 @@ export async function alignScene(project_id, scene, stems, providerAlignment) {
   let cursor = 0;
   
   for (let i = 0; i < scene.dialogue.length; i++) {
+    signal?.throwIfAborted();
     const curr = scene.dialogue[i];
     const next = scene.dialogue[i + 1];
     const stem = stems.find(s => s.line_id === curr.line_id);
+    const markup = parseMarkup(curr.text);
     
     if (!stem) throw new Error(`Missing stem for line ${curr.line_id}`);
     
@@ -65,7 +79,7 @@ export async function alignScene(project_id, scene, stems, providerAlignment) {
     // Try to get word-level timestamps from Whisper
     let words = null;
     try {
-      const whisperWords = await whisperAlign(stem.path, curr.text);
+      const whisperWords = await whisperAlign(stem.path, markup.text, { signal });
       if (whisperWords && whisperWords.length > 0) {
         // Offset word timestamps by line start time
         words = whisperWords.map(w => ({
@@ -75,11 +89,15 @@ export async function alignScene(project_id, scene, stems, providerAlignment) {
         }));
       }
     } catch (err) {
-      console.warn(`   ⚠️  Whisper alignment failed for line ${curr.line_id}, using duration fallback`);
+      if (signal?.aborted) throw signal.reason;
+      log.warn(`⚠️  Whisper alignment failed for line ${curr.line_id}, using duration fallback`);
     }
+    if (!words) alignmentFallbacks.inc();
     
     lines.push({
       line_id: curr.line_id,
+      text: markup.text,
+      ...(markup.tags.length && { tags: markup.tags }),
       start,
       end,
       ...(words && { words })
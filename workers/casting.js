@@ -0,0 +1,88 @@
+// workers/casting.js
+import { listVoiceMap, upsertVoiceMap } from '../lib/db.js';
+import { loadVoiceLibrary, parseCharacterDescription, scoreVoice } from '../lib/voice-library.js';
+import { defaultProviderName, getTtsProvider } from '../lib/tts-providers.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('casting');
+
+// Characters that need a voice_map row (at least one line without voice_key), in order of
+// appearance; described characters are cast first so they get the closest matches
+function charactersToCast(scenes, characters) {
+  const names = [...new Set(scenes.flatMap(s => s.dialogue.filter(l => !l.voice_key).map(l => l.character)))];
+  const described = (name) => !!characters[name]?.description;
+  return [...names.filter(described), ...names.filter(n => !described(n))];
+}
+
+/**
+ * Choose library voices (catalog/voices.json) for characters without a voice_map row,
+ * without writing anything
+ * A character with a gender only gets voices of that gender (or neutral ones) while the
+ * library has any. Among those, voices the project already uses are avoided while unused
+ * ones remain; among the least used voices the best scoring one wins, ties going to
+ * library order
+ *
+ * @param {string} project_id - Project ID
+ * @param {Array} scenes - Scenes whose characters are cast
+ * @param {Object} options
+ * @param {string} options.provider - Render provider; only its library voices are cast
+ *   (default TTS_PROVIDER). Nothing is cast for anyVoice providers (mock)
+ * @param {Object} options.characters - Director JSON characters ({description})
+ * @returns {Array} [{character, provider, voice_id, params_json, name, score}]
+ */
+export async function planCasting(project_id, scenes, { provider = defaultProviderName(), characters = {} } = {}) {
+  if (getTtsProvider(provider).anyVoice) return [];
+  const library = loadVoiceLibrary().filter(v => v.provider === provider);
+  if (library.length === 0) return [];
+
+  const rows = await listVoiceMap(project_id);
+  const mapped = new Set(rows.map(r => r.character));
+  const uses = new Map();
+  for (const row of rows) uses.set(row.voice_id, (uses.get(row.voice_id) || 0) + 1);
+
+  const cast = [];
+  for (const character of charactersToCast(scenes, characters)) {
+    if (mapped.has(character)) continue;
+    const traits = parseCharacterDescription(characters[character]?.description, library);
+    const fitting = library.filter(v => !traits.gender || v.gender === traits.gender || v.gender === 'neutral');
+
+    let best = null;
+    for (const voice of fitting.length ? fitting : library) {
+      const candidate = { voice, uses: uses.get(voice.voice_id) || 0, score: scoreVoice(voice, traits) };
+      if (!best || candidate.uses < best.uses || (candidate.uses === best.uses && candidate.score > best.score)) {
+        best = candidate;
+      }
+    }
+
+    uses.set(best.voice.voice_id, best.uses + 1);
+    cast.push({
+      character,
+      provider,
+      voice_id: best.voice.voice_id,
+      params_json: { ...best.voice.params_json },
+      name: best.voice.name,
+      score: best.score
+    });
+  }
+  return cast;
+}
+
+/**
+ * Cast voices for characters without a voice_map row and persist them (upsertVoiceMap),
+ * so every later render of the project keeps the same voices
+ * Runs before TTS; see planCasting() for the options
+ * @returns {Array} The new assignments
+ */
+export async function castVoices(project_id, scenes, options = {}) {
+  const cast = await planCasting(project_id, scenes, options);
+  for (const c of cast) {
+    await upsertVoiceMap(project_id, c.character, c);
+    log.info(`🎭 Cast ${c.name} as ${c.character}`, {
+      character: c.character,
+      provider: c.provider,
+      voice_id: c.voice_id,
+      score: c.score
+    });
+  }
+  return cast;
+}
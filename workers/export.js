@@ -4,6 +4,10 @@ import ffmpegPath from 'ffmpeg-static';
 import fs from 'fs';
 import path from 'path';
 import { audioDurationSec } from '../lib/audio.js';
+import { resolveProjectDir, signingEnabled, signDownloadUrl } from '../lib/downloads.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('export');
 
 const ffmpeg = ffmpegPath;
 
@@ -16,7 +20,7 @@ export async function concatScenesWithCrossfade(
   outPath,
   options = {}
 ) {
-  const { fadeDuration = 1.5, fadeType = 'tri' } = options;
+  const { fadeDuration = 1.5, fadeType = 'tri', signal } = options;
 
   if (scenePaths.length === 0) {
     throw new Error('No scenes to concatenate');
@@ -65,24 +69,28 @@ export async function concatScenesWithCrossfade(
     '-c:a', 'aac',
     '-b:a', '192k',
     '-ar', '48000',
+    '-y',
     outPath
   ];
 
   try {
-    await execa(ffmpeg, args);
+    await execa(ffmpeg, args, { signal });
   } catch (err) {
-    console.error('[Concat Error] FFmpeg failed:', err.stderr || err.message);
+    if (signal?.aborted) throw signal.reason;
+    log.error('[Concat Error] FFmpeg failed:', err.stderr || err.message);
     throw new Error(`Scene concatenation failed: ${err.message}`);
   }
 }
 
 /**
  * Generate playback manifest with accurate offsets accounting for crossfades
+ * episodePath defaults to output/<project_id>/episode.m4a
  */
 export async function makePlaybackManifest(
   project_id,
   scenePaths,
-  crossfadeDuration = 1.5
+  crossfadeDuration = 1.5,
+  episodePath = path.join(process.cwd(), 'output', project_id, 'episode.m4a')
 ) {
   const order = [];
   let offset = 0;
@@ -114,7 +122,6 @@ export async function makePlaybackManifest(
   }
 
   // Upload episode to Supabase Storage
-  const episodePath = path.join(process.cwd(), 'output', project_id, 'episode.m4a');
   let publicUrl = null;
 
   if (fs.existsSync(episodePath)) {
@@ -135,28 +142,60 @@ export async function makePlaybackManifest(
         });
 
       if (uploadError) {
-        console.error('❌ Supabase upload error:', uploadError);
+        log.error('❌ Supabase upload error:', uploadError);
         throw uploadError;
       }
 
-      console.log('✅ Uploaded to Supabase Storage');
+      log.info('✅ Uploaded to Supabase Storage');
 
       const { data: urlData } = supabase.storage
         .from('audio')
         .getPublicUrl(`${project_id}/episode.m4a`);
 
       publicUrl = urlData.publicUrl;
-      console.log(`🔗 Public audio URL: ${publicUrl}`);
+      log.info(`🔗 Public audio URL: ${publicUrl}`);
     } catch (err) {
-      console.error('❌ Failed to upload to Supabase:', err);
+      log.error('❌ Failed to upload to Supabase', err);
       // Continue without upload - not fatal
     }
   }
 
+  // Prefer a signed, expiring link to this service over a public bucket URL
+  let publicUrlExpiresAt = null;
+  if (signingEnabled() && fs.existsSync(episodePath)) {
+    const signed = signDownloadUrl(project_id, 'episode.m4a');
+    publicUrl = signed.url;
+    publicUrlExpiresAt = signed.expires_at;
+  }
+
   return {
     project_id,
     order,
     total: totalDuration,
-    public_url: publicUrl
+    public_url: publicUrl,
+    ...(publicUrlExpiresAt && { public_url_expires_at: publicUrlExpiresAt })
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Read the playback manifest written by the last export of a project
+ * Returns null if the project has not been rendered yet
+ */
+export function readPlaybackManifest(project_id) {
+  const projectDir = resolveProjectDir(project_id);
+  if (!projectDir) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(projectDir, 'manifest.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Scene ids of an episode in Director JSON order, including scenes the last render
+ * skipped (skip_scene / degrade), which are missing from the manifest's `order`
+ * Manifests written before scene_ids was recorded fall back to `order`
+ */
+export function episodeSceneIds(manifest) {
+  return manifest.scene_ids || manifest.order.map(o => o.scene_id);
+}
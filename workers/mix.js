@@ -6,6 +6,9 @@ import fs from 'fs';
 import path from 'path';
 import { validateFiltergraph } from '../lib/ffmpeg-validator.js';
 import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('mix');
 
 const ffmpeg = ffmpegPath;
 const ffprobePath = ffprobePkg.path;
@@ -92,7 +95,7 @@ function duckToVolumeEnables(curve, hop = 0.1) {
  * Pass 2: Apply with measured values
  */
 async function loudnormTwoPass(inputPath, outPath, I = -16, TP = -1, LRA = 11) {
-  console.log(`   📊 Analyzing loudness (target: ${I} LUFS)...`);
+  log.info(`📊 Analyzing loudness (target: ${I} LUFS)...`);
   
   // Pass 1: Measure
   const pass1 = await execa(ffmpeg, [
@@ -111,10 +114,10 @@ async function loudnormTwoPass(inputPath, outPath, I = -16, TP = -1, LRA = 11) {
   const measured_thresh = rx('input_thresh');
   const target_offset = rx('target_offset');
   
-  console.log(`   📊 Measured: ${measured_I} LUFS, ${measured_TP} dBTP`);
+  log.info(`📊 Measured: ${measured_I} LUFS, ${measured_TP} dBTP`);
   
   // Pass 2: Apply normalization
-  console.log(`   🔊 Applying loudness normalization...`);
+  log.info(`🔊 Applying loudness normalization...`);
   await execa(ffmpeg, [
     '-i', inputPath,
     '-af', `loudnorm=I=${I}:TP=${TP}:LRA=${LRA}:measured_I=${measured_I}:measured_TP=${measured_TP}:measured_LRA=${measured_LRA}:measured_thresh=${measured_thresh}:offset=${target_offset}`,
@@ -124,7 +127,7 @@ async function loudnormTwoPass(inputPath, outPath, I = -16, TP = -1, LRA = 11) {
     outPath
   ]);
   
-  console.log(`   ✅ Normalized to ${I} LUFS`);
+  log.info(`✅ Normalized to ${I} LUFS`);
 }
 
 /**
@@ -180,7 +183,7 @@ export async function mixScene(options) {
     true_peak_db = -1
   } = mixParams;
   
-  console.log(`   🎛️  Mixing scene audio...`);
+  log.info(`🎛️  Mixing scene audio...`);
   
   // Build manifest
   const manifest = {
@@ -197,7 +200,7 @@ export async function mixScene(options) {
   
   // If only dialogue, just copy and normalize
   if (!inputs.music && !inputs.ambience) {
-    console.log(`   ℹ️  Dialogue-only scene (no music/ambience)`);
+    log.info(`ℹ️  Dialogue-only scene (no music/ambience)`);
     fs.copyFileSync(inputs.dialogue, outWav);
     await loudnormTwoPass(outWav, outFinal, target_lufs, true_peak_db);
     
@@ -207,12 +210,12 @@ export async function mixScene(options) {
   }
   
   // Analyze dialogue for adaptive ducking
-  console.log(`   📊 Analyzing dialogue envelope for adaptive ducking...`);
+  log.info(`📊 Analyzing dialogue envelope for adaptive ducking...`);
   const env = await analyzeRMSEnvelope(inputs.dialogue, 0.1);
   const duckCurve = buildDuckCurve(env);
   const duckFilter = duckToVolumeEnables(duckCurve, 0.1);
   
-  console.log(`   🎚️  Building adaptive ducking filter...`);
+  log.info(`🎚️  Building adaptive ducking filter...`);
   
   // Build FFmpeg filter graph
   let filterGraph = '';
@@ -244,13 +247,13 @@ export async function mixScene(options) {
   const validation = validateFiltergraph(filterGraph);
   if (!validation.valid) {
     const errorMsg = `Invalid filtergraph:\n${validation.errors.join('\n')}`;
-    console.error(errorMsg);
-    console.error('Filtergraph:', filterGraph);
+    log.error(errorMsg);
+    log.error('Filtergraph:', filterGraph);
     throw new Error(errorMsg);
   }
   
   if (validation.warnings.length > 0) {
-    console.warn('[Filtergraph Warnings]:', validation.warnings.join('; '));
+    log.warn('[Filtergraph Warnings]:', validation.warnings.join('; '));
   }
   
   // Build FFmpeg command
@@ -266,7 +269,7 @@ export async function mixScene(options) {
     outWav
   );
   
-  console.log(`   🔧 Executing FFmpeg mix...`);
+  log.info(`🔧 Executing FFmpeg mix...`);
   await execa(ffmpeg, ffmpegArgs);
   
   // Normalize loudness
@@ -287,7 +290,7 @@ export async function mixScene(options) {
   manifest.lufs_i = outputI ? parseFloat(outputI) : null;
   manifest.true_peak_db = outputTP ? parseFloat(outputTP) : null;
   
-  console.log(`   ✅ Final mix: ${manifest.lufs_i?.toFixed(2)} LUFS, ${manifest.true_peak_db?.toFixed(2)} dBTP`);
+  log.info(`✅ Final mix: ${manifest.lufs_i?.toFixed(2)} LUFS, ${manifest.true_peak_db?.toFixed(2)} dBTP`);
   
   // Save manifest
   await saveMixManifest(project_id, scene_id, manifest);
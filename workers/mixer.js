@@ -4,6 +4,10 @@ import ffprobePath from 'ffprobe-static';
 import fs from 'fs';
 import path from 'path';
 import { getTrackPath } from '../lib/catalog-loader.js';
+import { mixFallbacks } from '../lib/metrics.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('mixer');
 
 const ffmpeg = ffmpegPath;
 const ffprobe = ffprobePath.path;
@@ -18,48 +22,58 @@ async function getAudioDuration(filePath) {
     ]);
     return parseFloat(stdout);
   } catch (error) {
-    console.error(`❌ Error getting duration for ${filePath}:`, error.message);
+    log.error(`❌ Error getting duration for ${filePath}:`, error.message);
     return 0;
   }
 }
 
+/**
+ * Mix a scene's dialogue with its music, ambience and SFX into options.output
+ * An ffmpeg failure writes the unmixed dialogue instead of throwing
+ * @returns {Promise<{dialogue_only: boolean, error?: string}>} dialogue_only is true when the
+ *   output is the unmixed dialogue because ffmpeg failed or every background track was missing
+ *   (error says which)
+ */
 export async function mixScene(options) {
-  const { scene, timeline, stems, cues, output } = options;
+  const { scene, timeline, stems, cues, output, signal } = options;
+  // Concatenated dialogue, written next to the output unless options.dialogue names a file
+  const dialoguePath = options.dialogue || path.join(path.dirname(output), `dialogue-${scene.scene_id}.m4a`);
 
-  console.log('🎵 Mixing scene audio...');
+  log.info('🎵 Mixing scene audio...');
 
   if (!stems || stems.length === 0) {
-    console.log('⚠️  No dialogue stems - creating silent scene');
-    await createSilence(output, 10);
-    return;
+    log.warn('⚠️  No dialogue stems - creating silent scene');
+    await createSilence(output, 10, signal);
+    return { dialogue_only: false };
   }
 
-  console.log(`   📝 Concatenating ${stems.length} dialogue stems...`);
-  const dialoguePath = path.join(path.dirname(output), `dialogue-${scene.scene_id}.m4a`);
-  await concatenateDialogue(stems, dialoguePath);
+  log.info(`📝 Concatenating ${stems.length} dialogue stems...`);
+  await concatenateDialogue(stems, dialoguePath, signal);
 
   const dialogueDuration = await getAudioDuration(dialoguePath);
-  console.log(`   ✅ Dialogue duration: ${dialogueDuration.toFixed(2)}s`);
+  log.info(`✅ Dialogue duration: ${dialogueDuration.toFixed(2)}s`);
 
   const timelineData = extractTimelineData(timeline, cues);
 
   // if (!timelineData.music && !timelineData.ambience && timelineData.sfx.length === 0) {
-  //   console.log('   ℹ️  No background tracks selected by cues - using dialogue only');
+  //   log.info('ℹ️  No background tracks selected by cues - using dialogue only');
   //   fs.copyFileSync(dialoguePath, output);
   //   return;
   // }
 
   const inputs = [{ path: dialoguePath, label: 'dialogue', index: 0 }];
   let inputIndex = 1;
+  let missing = 0;
 
   if (timelineData.music) {
     const trackPath = getTrackPath(timelineData.music.cue_id);
     if (trackPath) {
       inputs.push({ path: trackPath, label: 'music', index: inputIndex, data: timelineData.music });
       inputIndex++;
-      console.log(`   🎵 Music: ${timelineData.music.cue_id}`);
+      log.info(`🎵 Music: ${timelineData.music.cue_id}`);
     } else {
-      console.warn(`   ⚠️  Music track not found: ${timelineData.music.cue_id}`);
+      log.warn(`⚠️  Music track not found: ${timelineData.music.cue_id}`);
+      missing++;
       timelineData.music = null;
     }
   }
@@ -69,9 +83,10 @@ export async function mixScene(options) {
     if (trackPath) {
       inputs.push({ path: trackPath, label: 'ambience', index: inputIndex, data: timelineData.ambience });
       inputIndex++;
-      console.log(`   🌊 Ambience: ${timelineData.ambience.cue_id}`);
+      log.info(`🌊 Ambience: ${timelineData.ambience.cue_id}`);
     } else {
-      console.warn(`   ⚠️  Ambience track not found: ${timelineData.ambience.cue_id}`);
+      log.warn(`⚠️  Ambience track not found: ${timelineData.ambience.cue_id}`);
+      missing++;
       timelineData.ambience = null;
     }
   }
@@ -81,19 +96,21 @@ export async function mixScene(options) {
     if (trackPath) {
       inputs.push({ path: trackPath, label: `sfx${sfx.index}`, index: inputIndex, data: sfx });
       inputIndex++;
-      console.log(`   🔊 SFX ${sfx.index + 1}: ${sfx.cue_id} @ ${sfx.at}s`);
+      log.info(`🔊 SFX ${sfx.index + 1}: ${sfx.cue_id} @ ${sfx.at}s`);
     } else {
-      console.warn(`   ⚠️  SFX track not found: ${sfx.cue_id}`);
+      log.warn(`⚠️  SFX track not found: ${sfx.cue_id}`);
+      missing++;
     }
   }
 
-  if (inputs.length === 0) {
-    console.log('   ℹ️  All background tracks missing - using dialogue only');
+  // Only the dialogue input left although the cues asked for background tracks
+  if (inputs.length === 1 && missing > 0) {
+    log.info('ℹ️  All background tracks missing - using dialogue only');
     fs.copyFileSync(dialoguePath, output);
-    return;
+    return { dialogue_only: true, error: `All ${missing} background track(s) missing` };
   }
 
-  console.log('   🔧 Building FFmpeg filter graph with ducking...');
+  log.info('🔧 Building FFmpeg filter graph with ducking...');
   const filterComplex = buildMixerFilterGraphWithDucking({
     dialogueDuration,
     inputs,
@@ -116,16 +133,21 @@ export async function mixScene(options) {
     output
   ];
 
-  console.log('   🎬 Running FFmpeg mixer...');
+  log.info('🎬 Running FFmpeg mixer...');
   
   try {
-    await execa(ffmpeg, args);
-    console.log('   ✅ Scene mixed successfully');
+    await execa(ffmpeg, args, { signal });
+    log.info('✅ Scene mixed successfully');
   } catch (error) {
-    console.error('❌ FFmpeg mixing error:', error.stderr || error.message);
-    console.log('   ⚠️  Falling back to dialogue-only output');
+    if (signal?.aborted) throw signal.reason;
+    log.error('❌ FFmpeg mixing error:', error.stderr || error.message);
+    log.warn('⚠️  Falling back to dialogue-only output');
+    mixFallbacks.inc();
     fs.copyFileSync(dialoguePath, output);
+    return { dialogue_only: true, error: error.shortMessage || error.message };
   }
+
+  return { dialogue_only: false };
 }
 
 function extractTimelineData(timeline, cues) {
@@ -254,7 +276,7 @@ function buildMixerFilterGraphWithDucking({ dialogueDuration, inputs, timelineDa
   return filters.join(';');
 }
 
-async function concatenateDialogue(stems, outputPath) {
+async function concatenateDialogue(stems, outputPath, signal) {
   if (stems.length === 1) {
     fs.copyFileSync(stems[0].path, outputPath);
     return;
@@ -274,7 +296,7 @@ async function concatenateDialogue(stems, outputPath) {
       '-ar', '48000',
       '-y',
       outputPath
-    ]);
+    ], { signal });
   } finally {
     if (fs.existsSync(concatFilePath)) {
       fs.unlinkSync(concatFilePath);
@@ -282,7 +304,7 @@ async function concatenateDialogue(stems, outputPath) {
   }
 }
 
-async function createSilence(outputPath, duration) {
+async function createSilence(outputPath, duration, signal) {
   await execa(ffmpeg, [
     '-f', 'lavfi',
     '-i', `anullsrc=r=48000:cl=stereo`,
@@ -291,5 +313,5 @@ async function createSilence(outputPath, duration) {
     '-b:a', '192k',
     '-y',
     outputPath
-  ]);
+  ], { signal });
 }
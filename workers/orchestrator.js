@@ -1,82 +1,692 @@
 import 'dotenv/config';
-import { DirectorJSON } from '../lib/zod-schemas.js';
+import { DirectorJSON, Scene, FailurePolicy } from '../lib/zod-schemas.js';
 import { ttsForScene } from './tts.js';
+import { castVoices } from './casting.js';
 import { alignScene } from './align.js';
 import { pickCues } from './cues.js';
 import { buildTimeline } from './timeline.js';
 import { mixScene } from './mixer.js';
-import { concatScenesWithCrossfade, makePlaybackManifest } from './export.js';
-import { loadCatalog } from '../lib/catalog-loader.js';
+import { concatScenesWithCrossfade, episodeSceneIds, makePlaybackManifest, readPlaybackManifest } from './export.js';
+import { loadCatalog, getTrackPath, validateSceneTracks } from '../lib/catalog-loader.js';
+import { measureLoudness, loudnormTwoPass } from '../lib/mix.js';
+import { silenceWav } from '../lib/audio.js';
+import { resolveProjectDir } from '../lib/downloads.js';
+import { TenantError } from '../lib/tenants.js';
+import { estimateLineSeconds, CROSSFADE_SECONDS } from './plan.js';
+import { timeStage, stageReused } from '../lib/metrics.js';
+import { contentHash, fileHash, readBuildRecord, writeBuildRecord } from '../lib/build-cache.js';
+import { openCheckpoint, fileRef, stageDone } from '../lib/checkpoint.js';
+import pLimit from 'p-limit';
+import crypto from 'crypto';
 import path from 'path';
 import fs from 'fs';
+import { createLogger, withLogContext, setLogContext } from '../lib/logger.js';
 
-export async function orchestrate(directorJSON) {
-  console.log('🎬 Step 0: Validating Director JSON...');
+const log = createLogger('orchestrator');
+
+// Scenes rendered at the same time within one render (TTS requests are additionally
+// bounded across all scenes and renders by TTS_CONCURRENCY in workers/tts.js)
+const SCENE_CONCURRENCY = Math.max(1, parseInt(process.env.SCENE_CONCURRENCY || '2', 10) || 2);
+
+/**
+ * What a render does when a scene runs into trouble
+ *   fail_fast  - the first scene error fails the render (default)
+ *   skip_scene - a failing scene is left out of the episode
+ *   degrade    - missing tracks and failed mixes drop the background layers, failed
+ *                TTS lines become silence; scenes that still fail are left out
+ */
+export const FAILURE_POLICIES = FailurePolicy.options;
+
+// Progress units: one per TTS line, plus alignment, timeline and mix (x2) per scene,
+// plus concat + manifest for the export
+const SCENE_UNITS = 4;
+const EXPORT_UNITS = 2;
+
+/**
+ * Build an event emitter that stamps each event with percent-complete
+ */
+function createProgress(scenes, onEvent) {
+  const total = scenes.reduce((n, s) => n + s.dialogue.length + SCENE_UNITS, 0) + EXPORT_UNITS;
+  let done = 0;
+
+  return (type, data = {}, units = 0) => {
+    done = Math.min(total, done + units);
+    onEvent({
+      type,
+      scene_index: null,
+      scene_id: null,
+      ...data,
+      percent: Math.round((done / total) * 1000) / 10,
+      at: new Date().toISOString()
+    });
+  };
+}
+
+/**
+ * Per-render overrides (CLI flags); unset values fall back to the Director / scene
+ * JSON and environment defaults
+ */
+function renderSettings(options, director = {}) {
+  return {
+    concurrency: options.concurrency,
+    target_lufs: options.target_lufs,
+    crossfade: options.crossfade ?? CROSSFADE_SECONDS,
+    tts_provider: options.tts_provider || director.tts_provider,
+    voice_settings: options.voice_settings || director.voice_settings,
+    characters: options.characters || director.characters
+  };
+}
+
+/**
+ * Per-scene record of degradations and skipped scenes, reported as `degraded`
+ * in the render result and manifest:
+ *   [{scene_id, scene_index, skipped, issues: [{stage, action, message, line_id?, track_ids?}]}]
+ */
+function createDegradations(initial = []) {
+  const scenes = new Map(initial.map(d => [d.scene_id, { ...d, issues: [...d.issues] }]));
+  const entry = (scene_id, scene_index) => {
+    if (!scenes.has(scene_id)) scenes.set(scene_id, { scene_id, scene_index, skipped: false, issues: [] });
+    return scenes.get(scene_id);
+  };
+
+  return {
+    add(scene_id, scene_index, issue) {
+      entry(scene_id, scene_index).issues.push(issue);
+    },
+    skip(scene_id, scene_index, err) {
+      const e = entry(scene_id, scene_index);
+      e.skipped = true;
+      e.issues.push({ stage: 'scene', action: 'skipped', message: err.message });
+    },
+    list() {
+      return [...scenes.values()].sort((a, b) => a.scene_index - b.scene_index);
+    }
+  };
+}
+
+/**
+ * Audio and export files a run writes under the project directory. Each is written to
+ * a temporary name next to it (temp()) and renamed over the real file once complete
+ * (publish()), so a cancelled render removes only its unfinished temporaries and the
+ * previous scene, episode and manifest files stay intact. checkpoint.json and the build
+ * records are not tracked: they only describe finished stages and stay valid for a resume
+ */
+function createOutputTracker() {
+  const files = new Set();
+  const dirs = [];
+  return {
+    // Unique temporary name for file, keeping its extension for ffmpeg
+    temp(file) {
+      const tmp = `${file}.${crypto.randomUUID()}.tmp${path.extname(file)}`;
+      files.add(tmp);
+      return tmp;
+    },
+    publish(tmp, file) {
+      if (fs.existsSync(tmp)) fs.renameSync(tmp, file);
+      files.delete(tmp);
+      return file;
+    },
+    // mkdir -p, remembering the directories this run created
+    dir(dir) {
+      const first = fs.mkdirSync(dir, { recursive: true });
+      for (let d = dir; first && d.length >= first.length; d = path.dirname(d)) dirs.push(d);
+      return dir;
+    },
+    cleanup() {
+      for (const file of files) fs.rmSync(file, { force: true });
+      for (const dir of dirs) {
+        if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+      }
+    }
+  };
+}
+
+/**
+ * Render scenes concurrently (up to ctx.concurrency, default SCENE_CONCURRENCY), keeping outputs in scene order
+ * Under fail_fast the first failure aborts the sibling scenes and is rethrown once they
+ * have stopped, tagged with the scene_id / scene_index it came from. Under skip_scene
+ * and degrade a failing scene is recorded as skipped and left out of the outputs;
+ * quota errors always fail the render.
+ */
+async function renderScenes(scenes, ctx) {
+  const { signal } = ctx;
+  const limit = pLimit(ctx.concurrency || SCENE_CONCURRENCY);
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  if (signal?.aborted) onAbort();
+
+  const sceneCtx = { ...ctx, signal: controller.signal };
+  try {
+    const results = await Promise.allSettled(scenes.map((scene, sceneIndex) => limit(async () => {
+      try {
+        return await renderScene(scene, sceneIndex, scenes.length, sceneCtx);
+      } catch (err) {
+        if (!controller.signal.aborted && err instanceof Error) {
+          err.scene_id ??= scene.scene_id;
+          err.scene_index ??= sceneIndex;
+        }
+        if (ctx.failure_policy !== 'fail_fast' && !controller.signal.aborted && !(err instanceof TenantError)) {
+          log.warn(`⚠️  Skipping scene ${scene.scene_id} (${ctx.failure_policy}): ${err.message}`, { scene_id: scene.scene_id });
+          ctx.degradations.skip(scene.scene_id, sceneIndex, err);
+          ctx.emit('scene_skipped', { scene_index: sceneIndex, scene_id: scene.scene_id, message: err.message });
+          return null;
+        }
+        controller.abort(err);
+        throw err;
+      }
+    })));
+
+    if (controller.signal.aborted) throw controller.signal.reason;
+    const outputs = results.map(r => r.value).filter(Boolean);
+    if (outputs.length === 0) {
+      const [first] = ctx.degradations.list();
+      throw new Error(`Every scene failed, nothing to export (${first.scene_id}: ${first.issues.at(-1).message})`);
+    }
+    return outputs;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// Run a render, removing the outputs it registered (see createOutputTracker) if it gets cancelled
+async function withCancelCleanup(projectDir, signal, fn) {
+  const outputs = createOutputTracker();
+
+  try {
+    return await fn(outputs);
+  } catch (err) {
+    if (signal?.aborted) {
+      log.info(`🛑 Render cancelled - removing partial outputs in ${projectDir}`);
+      outputs.cleanup();
+    }
+    throw err;
+  }
+}
+
+/**
+ * Run the full Director JSON -> episode pipeline
+ * Scenes render concurrently (SCENE_CONCURRENCY); the export waits for all of them
+ *
+ * Typed progress events passed to options.onEvent:
+ *   scene_started, step_started, tts_line_done, alignment_done,
+ *   timeline_done, mix_done, scene_done, export_done
+ *
+ * @param {Object} directorJSON - Director JSON payload
+ * @param {Object} options - Optional hooks
+ * @param {Function} options.onEvent - Called with {type, scene_index, scene_id, percent, ...}
+ * @param {AbortSignal} options.signal - Cancels the render; partial outputs are removed
+ * @param {Object} options.quota - Optional TTS quota guard, see ttsForScene()
+ * @param {boolean} options.resume - Continue each unchanged scene after the last stage
+ *   recorded in output/<project_id>/checkpoint.json (see lib/checkpoint.js)
+ * @param {string} options.output_dir - Write the render here instead of output/<project_id>
+ * @param {number} options.concurrency - Scenes rendered at once (default SCENE_CONCURRENCY)
+ * @param {number} options.target_lufs - Normalize scenes without their own mix.target_lufs to this loudness
+ * @param {number} options.crossfade - Crossfade between scenes in seconds (default 1.5)
+ * @param {string} options.tts_provider - Overrides the Director JSON's tts_provider, the provider for new
+ *   voice assignments (mock speaks every line; see lib/tts-providers.js)
+ * @param {Object} options.voice_settings - Overrides the Director JSON's project-wide voice_settings
+ * @param {Object} options.characters - Overrides the Director JSON's per-character settings; characters
+ *   without a voice_map row are cast from the voice library first (see workers/casting.js)
+ * @param {string} options.failure_policy - Overrides the Director JSON's failure_policy (see FAILURE_POLICIES)
+ * @returns {Object} Episode paths, scene outputs, audio URLs, playback manifest and degraded scenes
+ */
+export async function orchestrate(directorJSON, options = {}) {
+  log.info('🎬 Step 0: Validating Director JSON...');
   const parsed = DirectorJSON.safeParse(directorJSON);
   if (!parsed.success) {
     throw new Error('Invalid Director JSON: ' + JSON.stringify(parsed.error.issues));
   }
   const director = parsed.data;
-  console.log(`   ✅ Valid Director JSON for project: ${director.project_id}`);
-  console.log(`   📋 Scenes to process: ${director.scenes.length}\n`);
-  console.log('📚 Loading audio catalog...');
+  const { signal } = options;
+  const emit = createProgress(director.scenes, options.onEvent || (() => {}));
+  log.info(`✅ Valid Director JSON for project: ${director.project_id}`);
+  log.info(`📋 Scenes to process: ${director.scenes.length}`);
+  log.info('📚 Loading audio catalog...');
   const catalog = loadCatalog();
-  console.log('');
-  const projectDir = path.join(process.cwd(), 'output', director.project_id);
-  const scenesDir = path.join(projectDir, 'scenes');
-  fs.mkdirSync(projectDir, { recursive: true });
-  fs.mkdirSync(scenesDir, { recursive: true });
-  const sceneOutputs = [];
-  for (const scene of director.scenes) {
-    console.log('─'.repeat(80));
-    console.log(`🎬 SCENE ${director.scenes.indexOf(scene) + 1}/${director.scenes.length}: ${scene.scene_id}`);
-    console.log('─'.repeat(80) + '\n');
-    console.log(`🔊 Step 1: Generating TTS for ${scene.dialogue.length} lines...`);
-    const stems = await ttsForScene(director.project_id, scene);
-    console.log(`   ✅ Generated ${stems.length} dialogue stems\n`);
-    console.log('⏱️  Step 2: Computing dialogue alignment...');
-    const alignment = await alignScene(director.project_id, scene, stems);
-    console.log(`   ✅ Aligned ${alignment.lines.length} lines\n`);
-    console.log('🎵 Step 3: Selecting music and ambience cues...');
-    const cues = await pickCues(scene, catalog);
-    console.log(`   ✅ Music cues: ${cues.music ? cues.music.length : 0}`);
-    console.log(`   ✅ Ambience cues: ${cues.ambience ? cues.ambience.length : 0}\n`);
-    console.log('📅 Step 4: Building scene timeline...');
-    const timeline = await buildTimeline(scene, alignment, cues);
-    console.log(`   ✅ Timeline built with ${timeline.events ? timeline.events.length : 0} events\n`);
-    console.log('🎵 Step 5: Mixing scene audio with background tracks...');
-    const sceneOutput = path.join(projectDir, `scene-${scene.scene_id}.m4a`);
-    await mixScene({ scene, timeline, stems, cues, output: sceneOutput });
-    console.log(`   ✅ Scene mixed: ${path.basename(sceneOutput)}\n`);
-    sceneOutputs.push({ scene_id: scene.scene_id, path: sceneOutput, timeline, alignment, cues });
-  }
-  console.log('─'.repeat(80));
-  console.log('✅ ALL SCENES PROCESSED - STARTING FINAL EXPORT');
-  console.log('─'.repeat(80) + '\n');
-  console.log('🎬 Step 6: Concatenating scenes...');
+  const projectDir = projectDirFor(director.project_id, options);
+
+  return withLogContext({ project_id: director.project_id }, () => withCancelCleanup(projectDir, signal, async (outputs) => {
+    outputs.dir(projectDir);
+    outputs.dir(path.join(projectDir, 'scenes'));
+    const checkpoint = openCheckpoint(projectDir, { resume: !!options.resume });
+    if (options.resume) log.info('⏩ Resume mode: reusing checkpointed scene stages');
+    const ctx = {
+      project_id: director.project_id,
+      catalog,
+      projectDir,
+      emit,
+      signal,
+      quota: options.quota,
+      checkpoint,
+      outputs,
+      failure_policy: options.failure_policy || director.failure_policy,
+      degradations: createDegradations(),
+      scene_ids: director.scenes.map(s => s.scene_id),
+      ...renderSettings(options, director)
+    };
+    log.info(`🛟 Failure policy: ${ctx.failure_policy}`);
+    await castVoices(director.project_id, director.scenes, { provider: ctx.tts_provider, characters: ctx.characters });
+
+    const sceneOutputs = await renderScenes(director.scenes, ctx);
+    log.info('✅ All scenes processed, starting final export');
+    return exportEpisode(sceneOutputs, ctx);
+  }));
+}
+
+/**
+ * Render a single scene of a Director JSON to scene-<scene_id>.m4a, without
+ * exporting the episode (the CLI's `scene` command)
+ * Build records and the checkpoint are shared with full renders of the project
+ *
+ * @param {Object} directorJSON - Director JSON payload
+ * @param {string} scene_id - Scene to render
+ * @param {Object} options - Same options as orchestrate()
+ * @returns {Object} Scene output {scene_id, path, timeline, alignment, cues, loudness, build}
+ */
+export async function orchestrateScene(directorJSON, scene_id, options = {}) {
+  const parsed = DirectorJSON.safeParse(directorJSON);
+  if (!parsed.success) {
+    throw new Error('Invalid Director JSON: ' + JSON.stringify(parsed.error.issues));
+  }
+  const director = parsed.data;
+  const sceneIndex = director.scenes.findIndex(s => s.scene_id === scene_id);
+  if (sceneIndex === -1) {
+    throw new Error(`Scene ${scene_id} is not part of project ${director.project_id}`);
+  }
+  const scene = director.scenes[sceneIndex];
+  const { signal } = options;
+  const emit = createProgress([scene], options.onEvent || (() => {}));
+  const catalog = loadCatalog();
+  const projectDir = projectDirFor(director.project_id, options);
+
+  return withLogContext({ project_id: director.project_id }, () => withCancelCleanup(projectDir, signal, async (outputs) => {
+    outputs.dir(projectDir);
+    const ctx = {
+      project_id: director.project_id,
+      catalog,
+      projectDir,
+      emit,
+      signal,
+      quota: options.quota,
+      checkpoint: openCheckpoint(projectDir, { resume: !!options.resume }),
+      outputs,
+      failure_policy: options.failure_policy || director.failure_policy,
+      degradations: createDegradations(),
+      ...renderSettings(options, director)
+    };
+    await castVoices(director.project_id, director.scenes, { provider: ctx.tts_provider, characters: ctx.characters });
+    return renderScene(scene, sceneIndex, director.scenes.length, ctx);
+  }));
+}
+
+/**
+ * Re-render one scene of an already rendered episode
+ * Runs TTS (cached stems are reused), alignment, cues, timeline and mix for the
+ * given scene only, then re-exports episode.m4a and manifest.json from the
+ * existing scene-*.m4a files of the other scenes, in the current episode order
+ * Scenes the last render skipped can be re-rendered too, and are put back in place;
+ * other skipped scenes stay out of the episode
+ * With a single scene, skip_scene behaves like fail_fast; degrade applies as usual
+ * and the other scenes' degradations are carried over from the previous manifest
+ *
+ * @param {string} project_id - Project ID
+ * @param {Object} sceneJSON - Updated scene (Scene schema)
+ * @param {Object} options - Same hooks as orchestrate()
+ * @returns {Object} Episode paths, scene outputs, audio URLs and playback manifest
+ */
+export async function rerenderScene(project_id, sceneJSON, options = {}) {
+  const parsed = Scene.safeParse(sceneJSON);
+  if (!parsed.success) {
+    throw new Error('Invalid scene: ' + JSON.stringify(parsed.error.issues));
+  }
+  const scene = parsed.data;
+  const { signal } = options;
+
+  const projectDir = resolveProjectDir(project_id);
+  if (!projectDir) throw new Error(`Invalid project_id: ${project_id}`);
+  const previous = readPlaybackManifest(project_id);
+  if (!previous) {
+    throw new Error(`Project ${project_id} has no rendered episode to update`);
+  }
+  const sceneIds = episodeSceneIds(previous);
+  const sceneIndex = sceneIds.indexOf(scene.scene_id);
+  if (sceneIndex === -1) {
+    throw new Error(`Scene ${scene.scene_id} is not part of project ${project_id}`);
+  }
+
+  const skipped = new Set((previous.degraded || []).filter(d => d.skipped).map(d => d.scene_id));
+  const sceneOutputs = sceneIds.map(scene_id => ({
+    scene_id,
+    path: path.join(projectDir, `scene-${scene_id}.m4a`)
+  }));
+  for (const s of sceneOutputs) {
+    if (s.scene_id !== scene.scene_id && !skipped.has(s.scene_id) && !fs.existsSync(s.path)) {
+      throw new Error(`Scene file missing for ${s.scene_id}: ${path.basename(s.path)}`);
+    }
+  }
+
+  log.info(`🔁 Re-rendering scene ${scene.scene_id} of project ${project_id}`);
+  const emit = createProgress([scene], options.onEvent || (() => {}));
+  const catalog = loadCatalog();
+
+  return withLogContext({ project_id }, () => withCancelCleanup(projectDir, signal, async (outputs) => {
+    const ctx = {
+      project_id,
+      catalog,
+      projectDir,
+      emit,
+      signal,
+      quota: options.quota,
+      checkpoint: openCheckpoint(projectDir),
+      outputs,
+      failure_policy: options.failure_policy || 'fail_fast',
+      degradations: createDegradations((previous.degraded || []).filter(d => d.scene_id !== scene.scene_id)),
+      scene_ids: sceneIds,
+      ...renderSettings(options)
+    };
+    await castVoices(project_id, [scene], { provider: ctx.tts_provider, characters: ctx.characters });
+    sceneOutputs[sceneIndex] = await renderScene(scene, sceneIndex, sceneIds.length, ctx);
+    return exportEpisode(sceneOutputs.filter(s => s.scene_id === scene.scene_id || !skipped.has(s.scene_id)), ctx);
+  }));
+}
+
+// output/<project_id> (resolveProjectDir keeps it inside output/), or options.output_dir
+function projectDirFor(project_id, options) {
+  if (options.output_dir) return path.resolve(options.output_dir);
+  const projectDir = resolveProjectDir(project_id);
+  if (!projectDir) throw new Error(`Invalid project_id: ${project_id}`);
+  return projectDir;
+}
+
+/**
+ * Two-pass loudness normalization of a mixed scene file, in place
+ */
+async function normalizeScene(file, target_lufs, true_peak_db, signal) {
+  const tmp = file.replace(/\.m4a$/, '.norm.m4a');
+  try {
+    await loudnormTwoPass(file, tmp, target_lufs, true_peak_db, 11, { signal });
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    throw new Error(`Loudness normalization failed: ${err.shortMessage || err.message}`);
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+}
+
+/**
+ * Catalog tracks referenced by a scene's cues, with their content hashes
+ */
+function cueTrackHashes(cues) {
+  const ambience = Array.isArray(cues.ambience) ? cues.ambience : (cues.ambience ? [cues.ambience] : []);
+  const ids = [...(cues.music || []), ...ambience, ...(cues.sfx || [])]
+    .map(c => c.cue_id || c.track_id)
+    .filter(Boolean);
+  return [...new Set(ids)].sort().map(id => ({ id, hash: fileHash(getTrackPath(id)) }));
+}
+
+/**
+ * TTS -> alignment -> cues -> timeline -> mix for a single scene
+ * Alignment, timeline and mix are skipped when their input hash matches the
+ * scene's build record (see lib/build-cache.js)
+ * Under the degrade policy, failed TTS lines, missing tracks and failed mixes are
+ * recorded and worked around; a degraded scene is not checkpointed
+ * Logs inside carry the scene_id and the stage the scene has reached
+ * @returns {Object} {scene_id, path, timeline, alignment, cues, loudness, build: {reused, rebuilt}, degraded}
+ */
+function renderScene(scene, sceneIndex, sceneCount, ctx) {
+  return withLogContext({ scene_id: scene.scene_id, stage: null }, () => renderSceneStages(scene, sceneIndex, sceneCount, ctx));
+}
+
+async function renderSceneStages(scene, sceneIndex, sceneCount, ctx) {
+  const { project_id, catalog, projectDir, emit, signal, quota, outputs } = ctx;
+  const at = { scene_index: sceneIndex, scene_id: scene.scene_id };
+  signal?.throwIfAborted();
+  const step = (name) => {
+    signal?.throwIfAborted();
+    setLogContext({ stage: name });
+    emit('step_started', { ...at, step: name });
+  };
+  const record = readBuildRecord(projectDir, scene.scene_id);
+  const build = { reused: [], rebuilt: [] };
+  const mark = (stage, reused) => {
+    build[reused ? 'reused' : 'rebuilt'].push(stage);
+    if (reused) stageReused.inc({ stage });
+  };
+  const resumed = ctx.checkpoint.resumeState(scene);
+  const issues = [];
+  const degrade = (issue) => {
+    if (issues.length === 0) ctx.checkpoint.forget(scene);
+    issues.push(issue);
+    ctx.degradations.add(scene.scene_id, sceneIndex, issue);
+    log.warn(`⚠️  Degraded ${issue.stage}: ${issue.message}`);
+  };
+  const checkpoint = (stage, data) => {
+    if (issues.length === 0) ctx.checkpoint.record(scene, stage, data);
+  };
+  log.info(`🎬 Scene ${sceneIndex + 1}/${sceneCount}: ${scene.scene_id}`);
+  emit('scene_started', { ...at, lines: scene.dialogue.length });
+
+  if (stageDone(resumed, 'mix')) {
+    log.info(`⏩ Resuming: scene ${scene.scene_id} already rendered (${path.basename(resumed.output.path)})`);
+    for (const stage of ['tts', 'align', 'timeline', 'mix']) mark(stage, true);
+    emit('scene_done', { ...at, reused: build.reused, resumed: true }, scene.dialogue.length + SCENE_UNITS);
+    return {
+      scene_id: scene.scene_id,
+      path: resumed.output.path,
+      timeline: resumed.timeline,
+      alignment: resumed.alignment,
+      cues: await pickCues(scene, catalog),
+      loudness: resumed.loudness ?? null,
+      build,
+      degraded: []
+    };
+  }
+
+  step('tts');
+  let stems;
+  if (stageDone(resumed, 'tts')) {
+    log.info(`⏩ Step 1: Resuming with ${resumed.stems.length} checkpointed dialogue stems`);
+    stems = resumed.stems.map(s => ({ line_id: s.line_id, path: s.path }));
+    for (const s of stems) emit('tts_line_done', { ...at, line_id: s.line_id, cached: true }, 1);
+    mark('tts', true);
+  } else {
+    log.info(`🔊 Step 1: Generating TTS for ${scene.dialogue.length} lines...`);
+    let cachedLines = 0;
+    stems = await timeStage('tts', () => ttsForScene(project_id, scene, {
+      onLine: ({ line_id, cached }) => {
+        if (cached) cachedLines++;
+        emit('tts_line_done', { ...at, line_id, cached }, 1);
+      },
+      signal,
+      quota,
+      provider: ctx.tts_provider,
+      voice_settings: ctx.voice_settings,
+      characters: ctx.characters,
+      onLineError: ctx.failure_policy === 'degrade' ? async (line, err) => {
+        if (err instanceof TenantError) throw err;
+        const file = path.join(projectDir, 'degraded', `${scene.scene_id}-${line.line_id}.wav`);
+        outputs.dir(path.dirname(file));
+        const tmp = outputs.temp(file);
+        fs.writeFileSync(tmp, silenceWav(Math.max(0.5, estimateLineSeconds(line.text))));
+        outputs.publish(tmp, file);
+        degrade({ stage: 'tts', action: 'silence', line_id: line.line_id, message: err.message });
+        return { line_id: line.line_id, path: file };
+      } : undefined
+    }));
+    mark('tts', cachedLines === scene.dialogue.length);
+    checkpoint('tts', {
+      stems: stems.map(s => ({ line_id: s.line_id, ...fileRef(s.path) }))
+    });
+  }
+  log.info(`✅ Generated ${stems.length} dialogue stems`);
+  const stemHashes = stems.map(s => ({ line_id: s.line_id, hash: fileHash(s.path) }));
+
+  step('align');
+  const alignHash = contentHash('align', { dialogue: scene.dialogue, intensity: scene.intensity ?? 0.5, stems: stemHashes });
+  const alignReused = stageDone(resumed, 'align') || record.align?.hash === alignHash;
+  let alignment;
+  if (stageDone(resumed, 'align')) {
+    log.info('⏩ Step 2: Resuming with checkpointed dialogue alignment');
+    alignment = resumed.alignment;
+  } else if (alignReused) {
+    log.info('⏱️  Step 2: Reusing dialogue alignment (inputs unchanged)');
+    alignment = record.align.alignment;
+  } else {
+    log.info('⏱️  Step 2: Computing dialogue alignment...');
+    alignment = await timeStage('align', () => alignScene(project_id, scene, stems, null, { signal }));
+    record.align = { hash: alignHash, alignment };
+  }
+  mark('align', alignReused);
+  if (!stageDone(resumed, 'align')) checkpoint('align', { alignment });
+  log.info(`✅ Aligned ${alignment.lines.length} lines`);
+  emit('alignment_done', { ...at, lines: alignment.lines.length, duration: alignment.lines.at(-1)?.end ?? 0, cached: alignReused }, 1);
+  step('cues');
+  log.info('🎵 Step 3: Selecting music and ambience cues...');
+  const cues = await pickCues(scene, catalog);
+  log.info(`✅ Music cues: ${cues.music ? cues.music.length : 0}`);
+  log.info(`✅ Ambience cues: ${cues.ambience ? cues.ambience.length : 0}`);
+  const { missing } = validateSceneTracks(scene);
+  if (missing.length > 0) {
+    const message = `Catalog tracks not found: ${missing.join(', ')}`;
+    if (ctx.failure_policy !== 'degrade') throw new Error(message);
+    degrade({ stage: 'cues', action: 'dropped_tracks', track_ids: missing, message });
+  }
+
+  step('timeline');
+  const timelineHash = contentHash('timeline', { scene, align: alignHash });
+  const timelineReused = stageDone(resumed, 'timeline') || record.timeline?.hash === timelineHash;
+  let timeline;
+  if (stageDone(resumed, 'timeline')) {
+    log.info('⏩ Step 4: Resuming with checkpointed scene timeline');
+    timeline = resumed.timeline;
+  } else if (timelineReused) {
+    log.info('📅 Step 4: Reusing scene timeline (inputs unchanged)');
+    timeline = record.timeline.timeline;
+  } else {
+    log.info('📅 Step 4: Building scene timeline...');
+    timeline = await timeStage('timeline', () => buildTimeline(scene, alignment, cues));
+    record.timeline = { hash: timelineHash, timeline };
+  }
+  mark('timeline', timelineReused);
+  if (!stageDone(resumed, 'timeline')) checkpoint('timeline', { timeline });
+  log.info(`✅ Timeline built with ${timeline.events ? timeline.events.length : 0} events`);
+  emit('timeline_done', { ...at, events: timeline.events ? timeline.events.length : 0, cached: timelineReused }, 1);
+
+  step('mix');
+  const sceneOutput = path.join(projectDir, `scene-${scene.scene_id}.m4a`);
+  const targetLufs = scene.mix?.target_lufs ?? ctx.target_lufs;
+  const normalize = targetLufs != null
+    ? { target_lufs: targetLufs, true_peak_db: scene.mix?.true_peak_db ?? -1 }
+    : undefined;
+  const mixHash = contentHash('mix', {
+    timeline: timelineHash,
+    stems: stemHashes,
+    tracks: cueTrackHashes(cues),
+    output: path.basename(sceneOutput),
+    normalize
+  });
+  const mixReused = record.mix?.hash === mixHash &&
+    fs.existsSync(sceneOutput) &&
+    fs.statSync(sceneOutput).size === record.mix.size;
+  let loudness;
+  if (mixReused) {
+    log.info(`🎵 Step 5: Reusing mixed scene ${path.basename(sceneOutput)} (inputs unchanged)`);
+    loudness = record.mix.loudness;
+  } else {
+    // Forget the old mix first, so a failed or cancelled mix never leaves a stale record behind
+    delete record.mix;
+    writeBuildRecord(projectDir, scene.scene_id, record);
+    log.info('🎵 Step 5: Mixing scene audio with background tracks...');
+    const sceneTmp = outputs.temp(sceneOutput);
+    const dialogueOutput = path.join(projectDir, `dialogue-${scene.scene_id}.m4a`);
+    const dialogueTmp = outputs.temp(dialogueOutput);
+    const mixed = await timeStage('mix', () => mixScene({
+      scene,
+      timeline,
+      stems,
+      cues,
+      output: sceneTmp,
+      dialogue: dialogueTmp,
+      signal
+    }));
+    if (mixed?.dialogue_only) {
+      degrade({ stage: 'mix', action: 'dialogue_only', message: `Background layers dropped: ${mixed.error}` });
+    }
+    log.info(`✅ Scene mixed: ${path.basename(sceneOutput)}`);
+    if (normalize) {
+      log.info(`📊 Normalizing to ${normalize.target_lufs} LUFS, true peak ${normalize.true_peak_db} dBTP`);
+      await timeStage('loudnorm', () => normalizeScene(sceneTmp, normalize.target_lufs, normalize.true_peak_db, signal));
+    }
+    signal?.throwIfAborted();
+    outputs.publish(dialogueTmp, dialogueOutput);
+    outputs.publish(sceneTmp, sceneOutput);
+    loudness = await timeStage('loudness_measure', () => measureLoudness(sceneOutput, { signal })).catch(err => {
+      log.warn(`⚠️  Loudness measurement failed: ${err.message}`);
+      return null;
+    });
+    // A dialogue-only fallback is not cached, so the next run retries the full mix
+    if (!mixed?.dialogue_only) {
+      record.mix = { hash: mixHash, size: fs.statSync(sceneOutput).size, loudness };
+    }
+  }
+  mark('mix', mixReused);
+  writeBuildRecord(projectDir, scene.scene_id, record);
+  checkpoint('mix', { output: fileRef(sceneOutput), loudness });
+  if (loudness) log.info(`📊 Integrated loudness: ${loudness.lufs_i} LUFS, true peak ${loudness.true_peak_db} dBTP`);
+  signal?.throwIfAborted();
+  emit('mix_done', { ...at, lufs_i: loudness?.lufs_i ?? null, true_peak_db: loudness?.true_peak_db ?? null, cached: mixReused }, 2);
+  emit('scene_done', { ...at, reused: build.reused, degraded: issues.length > 0 });
+  return { scene_id: scene.scene_id, path: sceneOutput, timeline, alignment, cues, loudness, build, degraded: issues };
+}
+
+/**
+ * Crossfade scene files into episode.m4a and write manifest.json
+ */
+async function exportEpisode(sceneOutputs, ctx) {
+  const { project_id, projectDir, emit, signal } = ctx;
+  signal?.throwIfAborted();
+  setLogContext({ stage: 'export' });
+  emit('step_started', { step: 'export' });
+  log.info('🎬 Step 6: Concatenating scenes...');
   const episodePath = path.join(projectDir, 'episode.m4a');
-  await concatScenesWithCrossfade(sceneOutputs.map(s => s.path), episodePath, { fadeDuration: 1.5, fadeType: 'tri' });
-  console.log(`   ✅ Episode created: ${path.basename(episodePath)}\n`);
-  console.log('📄 Step 7: Generating playback manifest...');
-  const manifest = await makePlaybackManifest(director.project_id, sceneOutputs.map(s => ({ scene_id: s.scene_id, path: s.path })), 1.5);
+  const episodeTmp = ctx.outputs.temp(episodePath);
+  await timeStage('export', () => concatScenesWithCrossfade(sceneOutputs.map(s => s.path), episodeTmp, { fadeDuration: ctx.crossfade, fadeType: 'tri', signal }));
+  log.info(`✅ Episode created: ${path.basename(episodePath)}`);
+  signal?.throwIfAborted();
+  log.info('📄 Step 7: Generating playback manifest...');
+  const manifest = await makePlaybackManifest(project_id, sceneOutputs.map(s => ({ scene_id: s.scene_id, path: s.path })), ctx.crossfade, episodeTmp);
+  manifest.scene_ids = ctx.scene_ids;
+  manifest.failure_policy = ctx.failure_policy;
+  manifest.degraded = ctx.degradations.list();
   const manifestPath = path.join(projectDir, 'manifest.json');
-  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
-  console.log(`   ✅ Manifest saved: manifest.json\n`);
-  console.log('═'.repeat(80));
-  console.log('🎊 ORCHESTRATION COMPLETE!');
-  console.log('═'.repeat(80) + '\n');
-  console.log(`📁 Output directory: ${projectDir}`);
-  console.log(`🎵 Episode file: episode.m4a`);
-  console.log(`📄 Manifest: manifest.json`);
-  console.log(`⏱️  Total duration: ${manifest.total.toFixed(2)}s (${(manifest.total / 60).toFixed(2)} min)`);
-  console.log('═'.repeat(80) + '\n');
+  const manifestTmp = ctx.outputs.temp(manifestPath);
+  fs.writeFileSync(manifestTmp, JSON.stringify(manifest, null, 2));
+  // Episode and manifest replace the previous ones together, once both are complete
+  signal?.throwIfAborted();
+  ctx.outputs.publish(episodeTmp, episodePath);
+  ctx.outputs.publish(manifestTmp, manifestPath);
+  log.info(`✅ Manifest saved: manifest.json`);
+  ctx.checkpoint.finish({ episode: fileRef(episodePath), manifest: fileRef(manifestPath) });
+  emit('export_done', { total_duration: manifest.total, public_url: manifest.public_url }, EXPORT_UNITS);
+  log.info(`🎊 Orchestration complete: ${manifest.total.toFixed(2)}s (${(manifest.total / 60).toFixed(2)} min)`, {
+    output_dir: projectDir,
+    total_duration: manifest.total,
+    scenes: sceneOutputs.length,
+    degraded: manifest.degraded.length
+  });
   return {
-    project_id: director.project_id,
+    project_id,
     output_dir: projectDir,
     episode_path: episodePath,
     manifest_path: manifestPath,
     scenes: sceneOutputs,
     audio_urls: [manifest.public_url],
-    manifest: manifest
+    manifest: manifest,
+    degraded: manifest.degraded,
+    build: {
+      scenes: sceneOutputs.filter(s => s.build).map(s => ({ scene_id: s.scene_id, ...s.build }))
+    }
   };
-}
+}
\ No newline at end of file
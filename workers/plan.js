@@ -0,0 +1,163 @@
+// workers/plan.js - DRY RUN: VALIDATE AND ESTIMATE WITHOUT SPENDING TTS CREDITS
+import { DirectorJSON } from '../lib/zod-schemas.js';
+import { validateSceneTracks } from '../lib/catalog-loader.js';
+import { getVoiceForCharacter } from '../lib/db.js';
+import { defaultProviderName, defaultVoiceFor, getTtsProvider, voiceCacheId, voiceWithSettings } from '../lib/tts-providers.js';
+import { parseMarkup, voiceForLine } from '../lib/markup.js';
+import { ttsKey } from '../lib/idempotency.js';
+import { readStemByKey } from '../lib/storage.js';
+import { audioDurationSec } from '../lib/audio.js';
+import { computeGap } from './align.js';
+import { planCasting } from './casting.js';
+
+// Typical ElevenLabs speaking rate, used to estimate lines that have no stem yet
+export const CHARS_PER_SECOND = 15;
+
+/**
+ * Estimated spoken length of a line: its text without markup at CHARS_PER_SECOND plus its <break>s
+ */
+export function estimateLineSeconds(text) {
+  const markup = parseMarkup(text);
+  return markup.text.length / CHARS_PER_SECOND + markup.pause_seconds;
+}
+
+// Overlap between consecutive scenes in the exported episode (the orchestrator's default crossfade)
+export const CROSSFADE_SECONDS = 1.5;
+
+/**
+ * Resolve the voice a line would be rendered with, without writing a voice_map row
+ * Mirrors casting (cast: planCasting() by character) and the lookup in ttsForScene()
+ */
+async function resolveVoice(project_id, line, voiceCache, provider, cast) {
+  if (line.voice_key) {
+    return { provider, voice_id: line.voice_key, params_json: {}, source: 'voice_key' };
+  }
+
+  if (!voiceCache.has(line.character)) {
+    const row = await getVoiceForCharacter(project_id, line.character);
+    if (getTtsProvider(provider).anyVoice) {
+      voiceCache.set(line.character, {
+        provider,
+        voice_id: row?.voice_id || line.character,
+        params_json: row?.params_json || {},
+        source: row ? 'voice_map' : 'default'
+      });
+    } else {
+      const c = cast.get(line.character);
+      voiceCache.set(line.character, row
+        ? { provider: row.provider, voice_id: row.voice_id, params_json: row.params_json, source: 'voice_map' }
+        : c
+          ? { provider: c.provider, voice_id: c.voice_id, params_json: c.params_json, source: 'cast' }
+          : { ...defaultVoiceFor(provider), source: 'default' });
+    }
+  }
+  return voiceCache.get(line.character);
+}
+
+/**
+ * Plan a render: everything orchestrate() does that costs no money
+ * - Director JSON validation
+ * - catalog track checks per scene
+ * - voice resolution per character (including the voices casting would pick)
+ * - TTS cache lookup per line and the cost of the lines that need new TTS
+ * - episode duration estimate (cached stems are measured, new lines estimated from length)
+ *
+ * @param {Object} directorJSON - Director JSON payload
+ * @param {Object} options
+ * @param {string} options.tts_provider - Overrides the Director JSON's tts_provider (as in orchestrate())
+ * @returns {Object} Plan report ({valid: false, issues} if the payload is invalid)
+ */
+export async function planEpisode(directorJSON, options = {}) {
+  const parsed = DirectorJSON.safeParse(directorJSON);
+  if (!parsed.success) {
+    return { valid: false, issues: parsed.error.issues };
+  }
+  const director = parsed.data;
+  const provider = options.tts_provider || director.tts_provider || defaultProviderName();
+
+  const missingTracks = [];
+  const newLines = [];
+  const cachedLines = [];
+  const voiceCache = new Map();
+  const scenes = [];
+  const cast = new Map((await planCasting(director.project_id, director.scenes, { provider, characters: director.characters }))
+    .map(c => [c.character, c]));
+
+  for (const scene of director.scenes) {
+    const tracks = validateSceneTracks(scene);
+    for (const track_id of tracks.missing) {
+      missingTracks.push({ scene_id: scene.scene_id, track_id });
+    }
+
+    let duration = 0;
+    for (let i = 0; i < scene.dialogue.length; i++) {
+      const line = scene.dialogue[i];
+      const markup = parseMarkup(line.text);
+      const voice = voiceForLine(
+        voiceWithSettings(await resolveVoice(director.project_id, line, voiceCache, provider, cast), line, director),
+        markup
+      );
+      const key = ttsKey(
+        director.project_id,
+        scene.scene_id,
+        line.line_id,
+        voiceCacheId(voice),
+        voice.params_json,
+        line.text
+      );
+
+      const entry = {
+        scene_id: scene.scene_id,
+        line_id: line.line_id,
+        character: line.character,
+        provider: voice.provider,
+        voice_id: voice.voice_id,
+        chars: markup.text.length
+      };
+
+      const cached = await readStemByKey(key);
+      let lineDuration = null;
+      if (cached) {
+        lineDuration = await audioDurationSec(cached.path).catch(() => null);
+        cachedLines.push({ ...entry, duration: lineDuration });
+      } else {
+        newLines.push(entry);
+      }
+
+      duration += lineDuration ?? estimateLineSeconds(line.text);
+      if (i < scene.dialogue.length - 1) {
+        duration += computeGap(line, scene.dialogue[i + 1], scene.intensity ?? 0.5);
+      }
+    }
+
+    scenes.push({
+      scene_id: scene.scene_id,
+      lines: scene.dialogue.length,
+      missing_tracks: tracks.missing,
+      estimated_duration: Math.round(duration * 100) / 100
+    });
+  }
+
+  const crossfades = Math.max(0, scenes.length - 1) * CROSSFADE_SECONDS;
+  const estimatedDuration = Math.max(0, scenes.reduce((t, s) => t + s.estimated_duration, 0) - crossfades);
+
+  return {
+    valid: missingTracks.length === 0,
+    project_id: director.project_id,
+    missing_tracks: missingTracks,
+    voices: [...voiceCache.entries()].map(([character, v]) => ({
+      character,
+      provider: v.provider,
+      voice_id: v.voice_id,
+      source: v.source
+    })),
+    tts: {
+      new_lines: newLines,
+      new_characters: newLines.reduce((n, l) => n + l.chars, 0),
+      estimated_cost: Math.round(newLines.reduce((c, l) => c + l.chars * getTtsProvider(l.provider).costPerCharacter, 0) * 10000) / 10000,
+      cached_lines: cachedLines
+    },
+    scenes,
+    estimated_duration: Math.round(estimatedDuration * 100) / 100
+  };
+}
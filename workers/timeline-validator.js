@@ -1,3 +1,7 @@
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('timeline-validator');
+
 // workers/timeline-validator.js - TIMELINE OVERLAP VALIDATION
 /**
  * Validate timeline for overlaps and conflicts
@@ -175,7 +179,7 @@ export function autoFixTimeline(timeline) {
       if (insMap.has(event.cue_id)) {
         fixed.push(event);
       } else {
-        console.warn(`Removing orphaned ${event.type} event for ${event.cue_id}`);
+        log.warn(`Removing orphaned ${event.type} event for ${event.cue_id}`);
       }
     } else {
       fixed.push(event);
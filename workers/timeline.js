@@ -1,6 +1,9 @@
 // workers/timeline.js - UPDATED WITH VALIDATION
 import { validateTimeline, autoFixTimeline } from './timeline-validator.js';
 import { createClient } from '@supabase/supabase-js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('timeline');
 
 const sb = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
   ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY)
@@ -100,17 +103,17 @@ export async function buildTimeline(scene, alignment, cueChoices) {
   const validation = validateTimeline(timeline);
   
   if (!validation.valid) {
-    console.error(`   ❌ Timeline validation failed for scene ${scene.scene_id}:`);
+    log.error(`❌ Timeline validation failed for scene ${scene.scene_id}:`);
     for (const error of validation.errors) {
-      console.error(`      • ${error}`);
+      log.error(`• ${error}`);
     }
     
-    console.log(`   🔧 Attempting auto-fix...`);
+    log.info(`🔧 Attempting auto-fix...`);
     const fixed = autoFixTimeline(timeline);
     
     const revalidation = validateTimeline(fixed);
     if (revalidation.valid) {
-      console.log(`   ✅ Timeline auto-fixed successfully`);
+      log.info(`✅ Timeline auto-fixed successfully`);
       return saveTimeline(scene.scene_id, fixed);
     } else {
       throw new Error(`Timeline validation failed and could not be auto-fixed`);
@@ -118,9 +121,9 @@ export async function buildTimeline(scene, alignment, cueChoices) {
   }
   
   if (validation.warnings.length > 0) {
-    console.warn(`   ⚠️  Timeline warnings for scene ${scene.scene_id}:`);
+    log.warn(`⚠️  Timeline warnings for scene ${scene.scene_id}:`);
     for (const warning of validation.warnings) {
-      console.warn(`      • ${warning}`);
+      log.warn(`• ${warning}`);
     }
   }
   return await saveTimeline(scene.scene_id, timeline);
@@ -3,60 +3,168 @@ import pLimit from 'p-limit';
 import { ttsKey, hash } from '../lib/idempotency.js';
 import { getVoiceForCharacter, upsertVoiceMap } from '../lib/db.js';
 import { readStemByKey, writeStem } from '../lib/storage.js';
-import { ttsGenerate } from '../lib/audio.js';
+import { ttsGenerate, silenceWav } from '../lib/audio.js';
+import { concatWav } from '../lib/wav.js';
+import { parseMarkup, voiceForLine } from '../lib/markup.js';
+import {
+  TTS_PROVIDERS,
+  defaultProviderName,
+  defaultVoiceFor,
+  fallbackVoiceFor,
+  getTtsProvider,
+  isProviderDown,
+  voiceCacheId,
+  voiceWithSettings
+} from '../lib/tts-providers.js';
+import { ttsCache, ttsCharacters } from '../lib/metrics.js';
 import { createClient } from '@supabase/supabase-js';
 import fs from 'fs';
 import path from 'path';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('tts');
 
 const sb = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
   ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY)
   : null;
 
-export async function ttsForScene(project_id, scene) {
-  const limit = pLimit(3);
+// TTS requests in flight across all scenes and renders in this process
+const ttsLimit = pLimit(Math.max(1, parseInt(process.env.TTS_CONCURRENCY || '3', 10) || 3));
+
+const stemKey = (project_id, scene, line, voice) =>
+  ttsKey(project_id, scene.scene_id, line.line_id, voiceCacheId(voice), voice.params_json, line.text);
+
+// Voice for a line: voice_key, the character's voice_map row, or a new row with the provider's
+// default voice. An anyVoice provider (mock) speaks each line with the voice_id it would
+// otherwise get (the character name if unmapped) and leaves voice_map alone
+async function resolveLineVoice(project_id, line, provider) {
+  if (line.voice_key) return { provider, voice_id: line.voice_key, params_json: {} };
+  const row = await getVoiceForCharacter(project_id, line.character);
+  if (getTtsProvider(provider).anyVoice) {
+    return { provider, voice_id: row?.voice_id || line.character, params_json: row?.params_json || {} };
+  }
+  return row || upsertVoiceMap(project_id, line.character, defaultVoiceFor(provider));
+}
+
+// Length of a line that is nothing but directions (e.g. "[sighs]")
+const SILENT_LINE_SECONDS = 0.5;
+
+// Speak a parsed line: one TTS request per text segment, <break>s become silence between them
+async function synthesizeLine(voice, markup, signal) {
+  if (!markup.segments.some(s => s.text)) {
+    return silenceWav(Math.max(SILENT_LINE_SECONDS, markup.pause_seconds));
+  }
+  const parts = [];
+  for (const segment of markup.segments) {
+    parts.push(segment.text ? await ttsGenerate({ voice, text: segment.text, signal }) : silenceWav(segment.pause));
+  }
+  return parts.length === 1 ? parts[0] : concatWav(parts);
+}
+
+// Generate with the line's voice; if its provider is down, with the fallback provider's default voice
+// (given the same settings overrides and direction adjustments by forLine)
+async function generateLine(voice, markup, forLine, signal) {
+  try {
+    return { wav: await synthesizeLine(voice, markup, signal), voice };
+  } catch (err) {
+    const fallback = fallbackVoiceFor(voice);
+    if (!fallback || signal?.aborted || !isProviderDown(err)) throw err;
+    log.warn(`TTS provider ${voice.provider} unavailable, falling back to ${fallback.provider}`, err, {
+      voice_id: voice.voice_id,
+      fallback_voice_id: fallback.voice_id
+    });
+    const fallbackVoice = forLine(fallback);
+    return { wav: await synthesizeLine(fallbackVoice, markup, signal), voice: fallbackVoice };
+  }
+}
 
-  console.log(`\n🔍 DIAGNOSTIC: Processing ${scene.dialogue.length} dialogue lines for scene ${scene.scene_id}`);
+/**
+ * Generate (or reuse cached) TTS stems for every dialogue line in a scene
+ * Voice settings overrides are merged over each line's voice (see voiceWithSettings()), then
+ * line markup (lib/markup.js) is stripped before TTS: directions adjust the merged settings
+ * and <break>s are inserted as silence
+ * @param {string} project_id - Project ID
+ * @param {Object} scene - Scene object with dialogue
+ * @param {Object} options - Optional hooks
+ * @param {Function} options.onLine - Called with {line_id, cached} as each line finishes
+ * @param {AbortSignal} options.signal - Cancels pending and in-flight TTS requests
+ * @param {Object} options.quota - Optional {check(chars), record(chars)} guard around each new TTS request
+ * @param {string} options.provider - Provider for voice_key lines and characters without a voice_map row
+ *   (default TTS_PROVIDER or elevenlabs); mapped characters keep their row's provider unless it is mock
+ * @param {Function} options.onLineError - Called with (line, err) when a line's TTS request fails;
+ *   returns a substitute {line_id, path} stem, or throws to fail the scene
+ * @param {Object} options.voice_settings - Project-wide voice settings overrides (Director JSON)
+ * @param {Object} options.characters - Per-character {voice_settings} overrides (Director JSON)
+ * @returns {Array} Array of {line_id, path} stems in dialogue order
+ */
+export async function ttsForScene(project_id, scene, options = {}) {
+  const onLine = options.onLine || (() => {});
+  const { signal, quota, provider = defaultProviderName() } = options;
+  if (!TTS_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown TTS provider: ${provider} (available: ${TTS_PROVIDERS.join(', ')})`);
+  }
+
+  log.debug(`Processing ${scene.dialogue.length} dialogue lines`, { provider });
 
   return Promise.all(
-    scene.dialogue.map(line => limit(async () => {
-      console.log(`\n📝 DIAGNOSTIC Line ${line.line_id}:`, {
-        character: line.character,
-        text_preview: line.text.substring(0, 50),
-        has_voice_field: !!line.voice,
-        voice_value: line.voice || 'MISSING',
-        has_voice_id_field: !!line.voice_key,
-        voice_id_value: line.voice_key || 'MISSING'
-      });
+    scene.dialogue.map(async line => {
+      signal?.throwIfAborted();
 
-      const voice = line.voice_key
-        ? { voice_id: line.voice_key, params_json: {} }
-        : (await getVoiceForCharacter(project_id, line.character)
-           || await upsertVoiceMap(project_id, line.character));
+      const markup = parseMarkup(line.text);
+      const forLine = (v) => voiceForLine(voiceWithSettings(v, line, options), markup);
+      const voice = forLine(await resolveLineVoice(project_id, line, provider));
+      const chars = markup.text.length;
 
-      console.log(`✅ DIAGNOSTIC: Using voice_id="${voice.voice_id}" for character="${line.character}"`);
+      log.debug(`Voice ${voice.voice_id} for line ${line.line_id}`, {
+        line_id: line.line_id,
+        character: line.character,
+        provider: voice.provider,
+        voice_id: voice.voice_id,
+        voice_source: line.voice_key ? 'voice_key' : 'voice_map',
+        directions: markup.directions,
+        chars
+      });
 
-      const key = ttsKey(
-        project_id,
-        scene.scene_id,
-        line.line_id,
-        voice.voice_id,
-        voice.params_json,
-        line.text
-      );
+      const key = stemKey(project_id, scene, line, voice);
 
       const cached = await readStemByKey(key);
+      ttsCache.inc({ result: cached ? 'hit' : 'miss' });
       if (cached) {
-        console.log(`♻️  DIAGNOSTIC: Using cached TTS for line ${line.line_id}`);
+        log.info(`♻️  Using cached TTS for line ${line.line_id}`, { line_id: line.line_id });
+        onLine({ line_id: line.line_id, cached: true });
         return { line_id: line.line_id, path: cached.path };
       }
 
-      console.log(`🎙️  DIAGNOSTIC: Generating NEW TTS with ElevenLabs voice_id="${voice.voice_id}"`);
-      const wav = await ttsGenerate({ voice, text: line.text });
-      const stemPath = await writeStem(project_id, scene.scene_id, line.line_id, wav, key);
+      log.info(`🎙️  Generating TTS for line ${line.line_id}`, { line_id: line.line_id, voice_id: voice.voice_id });
+      let generated;
+      try {
+        generated = await ttsLimit(async () => {
+          signal?.throwIfAborted();
+          quota?.check(chars);
+          const result = await generateLine(voice, markup, forLine, signal);
+          quota?.record(chars);
+          ttsCharacters.inc({ provider: result.voice.provider }, chars);
+          return result;
+        });
+      } catch (err) {
+        if (signal?.aborted || !options.onLineError) throw err;
+        const substitute = await options.onLineError(line, err);
+        onLine({ line_id: line.line_id, cached: false });
+        return substitute;
+      }
+      // A fallback stem is cached under its own voice, so the next render tries the line's provider again
+      const stemVoice = generated.voice;
+      const stemPath = await writeStem(
+        project_id,
+        scene.scene_id,
+        line.line_id,
+        generated.wav,
+        stemVoice === voice ? key : stemKey(project_id, scene, line, stemVoice)
+      );
 
       if (sb) {
         const textHash = hash(line.text);
-        const voiceHash = hash(voice.voice_id + JSON.stringify(voice.params_json));
+        const voiceHash = hash(voiceCacheId(stemVoice) + JSON.stringify(stemVoice.params_json));
 
         await sb.from('tts_stems').upsert({
           project_id,
@@ -71,7 +179,8 @@ export async function ttsForScene(project_id, scene) {
         });
       }
 
+      onLine({ line_id: line.line_id, cached: false });
       return { line_id: line.line_id, path: stemPath };
-    }))
+    })
   );
 }
@@ -3,6 +3,9 @@ import { execa } from 'execa';
 import fs from 'fs';
 import path from 'path';
 import { withRetry } from '../lib/retry.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('whisper-align');
 
 /**
  * Use Whisper to get word-level timestamps from audio
@@ -10,14 +13,17 @@ import { withRetry } from '../lib/retry.js';
  * 
  * @param {string} audioPath - Path to audio file
  * @param {string} expectedText - Expected text for validation
+ * @param {Object} options - Optional settings
+ * @param {AbortSignal} options.signal - Kills the whisper process / aborts the API request
  * @returns {Array} Array of word objects with {word, start, end}
  */
 
 // Start here
 // workers/whisper-align.js
 
-export async function whisperAlign(audioPath, expectedText) {
-  console.log(`   🎙️  Running Whisper ASR for word-level alignment...`);
+export async function whisperAlign(audioPath, expectedText, options = {}) {
+  const { signal } = options;
+  log.info(`🎙️  Running Whisper ASR for word-level alignment...`);
   
   const whisperCppPath = process.env.WHISPER_CPP_PATH || 'whisper';
   const modelPath = process.env.WHISPER_MODEL_PATH || 'models/ggml-base.en.bin';
@@ -40,7 +46,7 @@ export async function whisperAlign(audioPath, expectedText) {
       '-ojf',       // Create JSON file
       '-of', outputBase, // Specify output filename (whisper adds extensions automatically)
       '-ml', '1',   // Max line length
-    ]);
+    ], { signal });
     
     // 3. Check if JSON file was created
     if (!fs.existsSync(jsonOutputPath)) {
@@ -57,22 +63,23 @@ export async function whisperAlign(audioPath, expectedText) {
     try {
         fs.unlinkSync(jsonOutputPath);
     } catch (e) {
-        console.warn("Warning: Could not delete temp JSON file:", e.message);
+        log.warn("Warning: Could not delete temp JSON file:", e.message);
     }
 
-    console.log(`   ✅ Whisper aligned ${words.length} words`);
+    log.info(`✅ Whisper aligned ${words.length} words`);
     return words;
     
   } catch (err) {
-    console.warn(`   ⚠️  whisper.cpp failed, trying OpenAI Whisper API...`);
-    console.log(`   ❌ Error details: ${err.message}`);
+    if (signal?.aborted) throw signal.reason;
+
+    log.warn(`⚠️  whisper.cpp failed, trying OpenAI Whisper API...`, err);
     
     // Fallback to OpenAI Whisper API
     if (process.env.OPENAI_API_KEY) {
-      return await whisperAPIAlign(audioPath, expectedText);
+      return await whisperAPIAlign(audioPath, expectedText, signal);
     }
     
-    console.warn(`   ⚠️  No Whisper available, using duration-based fallback`);
+    log.warn(`⚠️  No Whisper available, using duration-based fallback`);
     return null;
   }
 }
@@ -86,8 +93,8 @@ function parseWhisperCppOutput(jsonString, expectedText) {
     
     // valid check
     if (!data.transcription || !Array.isArray(data.transcription)) {
-        console.warn("   ⚠️  JSON format unexpected: 'transcription' array missing");
-        console.log("   🔍 JSON Preview:", jsonString.substring(0, 200));
+        log.warn("⚠️  JSON format unexpected: 'transcription' array missing");
+        log.debug("🔍 JSON Preview:", jsonString.substring(0, 200));
         return [];
     }
 
@@ -139,7 +146,7 @@ function parseWhisperCppOutput(jsonString, expectedText) {
     }
 
   } catch (err) {
-    console.error('   ❌ Failed to parse whisper.cpp output:', err.message);
+    log.error('❌ Failed to parse whisper.cpp output:', err.message);
   }
   
   return words;
@@ -148,7 +155,7 @@ function parseWhisperCppOutput(jsonString, expectedText) {
 /**
  * Use OpenAI Whisper API for word-level timestamps
  */
-async function whisperAPIAlign(audioPath, expectedText) {
+async function whisperAPIAlign(audioPath, expectedText, signal) {
   const apiKey = process.env.OPENAI_API_KEY;
   
   return withRetry(async () => {
@@ -166,7 +173,8 @@ async function whisperAPIAlign(audioPath, expectedText) {
         'Authorization': `Bearer ${apiKey}`,
         ...form.getHeaders()
       },
-      body: form
+      body: form,
+      signal
     });
     
     if (!response.ok) {
@@ -188,13 +196,14 @@ async function whisperAPIAlign(audioPath, expectedText) {
       }
     }
     
-    console.log(`   ✅ Whisper API aligned ${words.length} words`);
+    log.info(`✅ Whisper API aligned ${words.length} words`);
     return words;
     
   }, {
     maxRetries: 3,
     initialDelayMs: 1000,
-    retryableStatuses: [429, 500, 502, 503, 504]
+    retryableStatuses: [429, 500, 502, 503, 504],
+    signal
   });
 }
 